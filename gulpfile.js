@@ -55,8 +55,8 @@ gulp.task('build:browser', ['lint:src'], function() {
         ]
       },
       plugins: [
-        // Ignore native modules (ed25519)
-        new webpack.IgnorePlugin(/ed25519/)
+        // Ignore native modules (ed25519) and node-only modules (worker_threads)
+        new webpack.IgnorePlugin(/ed25519|worker_threads/)
       ]
     }))
     .pipe(plugins.rename('stellar-base.js'))
@@ -0,0 +1,230 @@
+import {Account} from "./account";
+import {Asset} from "./asset";
+import {HashX} from "./hash_x";
+import {Operation} from "./operation";
+import {PreAuthTx} from "./pre_auth_tx";
+import {StrKey} from "./strkey";
+import {TransactionBuilder, TimeoutInfinite} from "./transaction_builder";
+import BigNumber from 'bignumber.js';
+import isDate from "lodash/isDate";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+const DEFAULT_TIMEOUT = 300; // seconds
+
+/**
+ * `AtomicSwap` builds the transactions of a two-party cross-asset atomic swap (hashed time-locked contract).
+ *
+ * Each party locks the asset it sends in an escrow account. The escrow account can be emptied either:
+ * * by the counterparty, with its signature and the preimage of the swap hash, before the refund time (claim),
+ * * by anybody after the refund time, with a pre-authorized transaction giving the funds back (refund).
+ *
+ * The initiator generates the preimage (see {@link HashX.random}) and shares its hash. The participant
+ * must use an earlier refund time than the initiator: the initiator claims the participant escrow first,
+ * which reveals the preimage on the ledger, then the participant uses it to claim the initiator escrow.
+ *
+ * The swap is built in two steps, because the sequence number of an escrow account is only
+ * known once the account exists:
+ * 1. {@link AtomicSwap.createEscrow} creates the escrow account, signed by the funding account and the escrow key,
+ * 2. {@link AtomicSwap.lock} (or {@link AtomicSwap.build} for both parties) builds the lock transaction,
+ *    signed by the funding account and the escrow key, and the matching claim, refund and cleanup transactions.
+ *
+ * The lock transaction replaces the escrow master key by four signers: the counterparty (weight 1),
+ * the swap hash (weight 1), the refund transaction (weight 2) and the cleanup transaction (weight 2),
+ * with all thresholds set to 2.
+ * The claim and refund transactions only send the locked amount, so funds sent to the escrow account by
+ * anybody else cannot make them fail. Once one of them succeeded, the cleanup transaction removes the
+ * trustline of a non-native asset and merges the escrow account, with its signers, into the funding account.
+ * If the escrow trustline still holds funds, the cleanup fails and the escrow account can only be
+ * merged with the counterparty signature and the preimage; the locked amount is not affected.
+ *
+ * @class AtomicSwap
+ */
+export class AtomicSwap {
+  /**
+   * Builds the transaction creating the escrow account and, for a non-native asset, its trustline.
+   * @param {object} opts
+   * @param {Account} opts.source - The funding account, its sequence number is incremented.
+   * @param {string} opts.escrow - The ID of the new escrow account.
+   * @param {Asset} opts.asset - The asset which will be locked.
+   * @param {string} [opts.startingBalance] - The starting balance of the escrow account in XLM, defaults to "5".
+   *   It must cover the reserve of the escrow account with its trustline and signers.
+   * @param {number} [opts.timeout] - The timeout of the transaction in seconds, defaults to 300.
+   * @param {number|function} [opts.fee] - The fee, see {@link TransactionBuilder}.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the swap is for.
+   * @returns {Transaction}
+   */
+  static createEscrow(opts) {
+    checkAsset(opts.asset);
+
+    let builder = new TransactionBuilder(opts.source, builderOpts(opts))
+      .addOperation(Operation.createAccount({
+        destination: opts.escrow,
+        startingBalance: opts.startingBalance || "5"
+      }));
+
+    if (!opts.asset.isNative()) {
+      builder.addOperation(Operation.changeTrust({asset: opts.asset, source: opts.escrow}));
+    }
+
+    return builder.setTimeout(isUndefined(opts.timeout) ? DEFAULT_TIMEOUT : opts.timeout).build();
+  }
+
+  /**
+   * Builds the transactions locking the funds of one party in its escrow account.
+   *
+   * The returned object contains:
+   * * `lock` - funds the escrow account and sets its signers, to be signed by the funding account and the escrow key,
+   * * `claim` - sends the locked amount to the counterparty, valid until the refund time, to be signed by the
+   *    counterparty and with the preimage (see {@link HashX#sign}),
+   * * `refund` - sends the locked amount back to the funding account, valid from the refund time,
+   *    pre-authorized so it needs no signature,
+   * * `cleanup` - removes the trustline and merges the escrow account into the funding account, to be submitted
+   *    after the claim or the refund, pre-authorized so it needs no signature.
+   *
+   * @param {object} opts
+   * @param {Account} opts.source - The funding account, its sequence number is incremented.
+   * @param {Account} opts.escrow - The escrow account with its current sequence number, it is not modified.
+   * @param {string} opts.counterparty - The ID of the account receiving the funds.
+   * @param {Asset} opts.asset - The asset to lock.
+   * @param {string} opts.amount - The amount to lock.
+   * @param {HashX|Buffer|string} opts.hash - The swap hash, as a {@link HashX}, Buffer, hex string or `X...` strkey.
+   * @param {Date|number|string} opts.refundTime - The time after which the funds can be refunded.
+   * @param {number} [opts.timeout] - The timeout of the lock transaction in seconds, defaults to 300.
+   * @param {number|function} [opts.fee] - The fee, see {@link TransactionBuilder}.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the swap is for.
+   * @returns {{lock: Transaction, claim: Transaction, refund: Transaction, cleanup: Transaction}}
+   */
+  static lock(opts) {
+    checkAsset(opts.asset);
+    if (!StrKey.isValidEd25519PublicKey(opts.counterparty)) {
+      throw new Error("counterparty is invalid");
+    }
+    if (isUndefined(opts.refundTime)) {
+      throw new Error("refundTime is required");
+    }
+
+    let hash = toSha256Hash(opts.hash);
+    let escrowId = opts.escrow.accountId();
+    let sourceId = opts.source.accountId();
+
+    // claim and refund share the next sequence number of the escrow account, only one of them can succeed.
+    // They only send the locked amount: funds sent to the escrow account by anybody else cannot make them fail.
+    let release = destination => new TransactionBuilder(new Account(escrowId, opts.escrow.sequenceNumber()), builderOpts(opts))
+      .addOperation(Operation.payment({destination, asset: opts.asset, amount: opts.amount}));
+
+    let refund = release(sourceId)
+      .setTimebounds(opts.refundTime, 0)
+      .setTimeout(TimeoutInfinite)
+      .build();
+
+    let claim = release(opts.counterparty)
+      .setTimebounds(0, opts.refundTime)
+      .build();
+
+    // The cleanup gets the sequence number following them. The trustline must be removed before the merge,
+    // the signers do not prevent it.
+    let cleanupOps = [Operation.accountMerge({destination: sourceId})];
+    if (!opts.asset.isNative()) {
+      cleanupOps.unshift(Operation.changeTrust({asset: opts.asset, limit: "0"}));
+    }
+    let cleanup = PreAuthTx.build(opts.escrow, cleanupOps, Object.assign(builderOpts(opts), {timeout: TimeoutInfinite}));
+
+    let lock = new TransactionBuilder(opts.source, builderOpts(opts))
+      .addOperation(Operation.payment({destination: escrowId, asset: opts.asset, amount: opts.amount}))
+      .addOperation(Operation.setOptions({signer: {ed25519PublicKey: opts.counterparty, weight: 1}, source: escrowId}))
+      .addOperation(Operation.setOptions({signer: {sha256Hash: hash, weight: 1}, source: escrowId}))
+      .addOperation(new PreAuthTx(refund).setOptions({weight: 2}))
+      .addOperation(cleanup.setOptions({weight: 2}))
+      .addOperation(Operation.setOptions({
+        masterWeight: 0,
+        lowThreshold: 2,
+        medThreshold: 2,
+        highThreshold: 2,
+        source: escrowId
+      }))
+      .setTimeout(isUndefined(opts.timeout) ? DEFAULT_TIMEOUT : opts.timeout)
+      .build();
+
+    return {lock, claim, refund, cleanup: cleanup.transaction};
+  }
+
+  /**
+   * Builds the lock, claim, refund and cleanup transactions of both parties, see {@link AtomicSwap.lock}.
+   * The escrow accounts must have been created with {@link AtomicSwap.createEscrow}.
+   *
+   * @param {object} opts
+   * @param {HashX|Buffer|string} opts.hash - The swap hash, chosen by the initiator.
+   * @param {object} opts.initiator - The party which knows the preimage.
+   * @param {Account} opts.initiator.account - The account sending `asset` and receiving the asset of the participant.
+   * @param {Account} opts.initiator.escrow - The escrow account of the initiator.
+   * @param {Asset} opts.initiator.asset - The asset sent by the initiator.
+   * @param {string} opts.initiator.amount - The amount sent by the initiator.
+   * @param {Date|number|string} opts.initiator.refundTime - The refund time of the initiator escrow.
+   * @param {object} opts.participant - The other party, with the same fields as `initiator`. Its refund time
+   *   must be before the refund time of the initiator.
+   * @param {number} [opts.timeout] - The timeout of the lock transactions in seconds, defaults to 300.
+   * @param {number|function} [opts.fee] - The fee, see {@link TransactionBuilder}.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the swap is for.
+   * @returns {{initiator: {lock: Transaction, claim: Transaction, refund: Transaction, cleanup: Transaction},
+   *            participant: {lock: Transaction, claim: Transaction, refund: Transaction, cleanup: Transaction}}}
+   */
+  static build(opts) {
+    let initiator = opts.initiator;
+    let participant = opts.participant;
+
+    if (!toTimestamp(participant.refundTime).lessThan(toTimestamp(initiator.refundTime))) {
+      throw new Error("participant refundTime must be before initiator refundTime");
+    }
+
+    let leg = (party, counterparty) => AtomicSwap.lock({
+      source: party.account,
+      escrow: party.escrow,
+      counterparty: counterparty.account.accountId(),
+      asset: party.asset,
+      amount: party.amount,
+      hash: opts.hash,
+      refundTime: party.refundTime,
+      timeout: opts.timeout,
+      fee: opts.fee,
+      networkPassphrase: opts.networkPassphrase
+    });
+
+    return {
+      initiator: leg(initiator, participant),
+      participant: leg(participant, initiator)
+    };
+  }
+}
+
+function builderOpts(opts) {
+  return {fee: opts.fee, networkPassphrase: opts.networkPassphrase};
+}
+
+function checkAsset(asset) {
+  if (!(asset instanceof Asset)) {
+    throw new Error("asset must be an Asset");
+  }
+}
+
+function toSha256Hash(hash) {
+  if (hash instanceof HashX) {
+    return hash.hash();
+  }
+
+  if (isString(hash)) {
+    hash = /^X/.test(hash) ? StrKey.decodeSha256Hash(hash) : new Buffer(hash, "hex");
+  }
+
+  if (!(Buffer.isBuffer(hash) && hash.length === 32)) {
+    throw new Error("hash is invalid");
+  }
+  return hash;
+}
+
+function toTimestamp(time) {
+  if (isDate(time)) {
+    return new BigNumber(Math.floor(time.getTime() / 1000));
+  }
+  return new BigNumber(time);
+}
@@ -0,0 +1,91 @@
+import isFunction from "lodash/isFunction";
+import isInteger from "lodash/isInteger";
+import isString from "lodash/isString";
+
+export const BASE_FEE = 100; // Stroops
+const MAX_FEE = 0xFFFFFFFF; // max uint32
+
+/**
+ * `FeeStrategy` contains helpers to create fee strategies for {@link TransactionBuilder}.
+ *
+ * A fee strategy is a function which receives the list of `xdr.Operation` objects of the transaction
+ * being built and returns the total fee of the transaction (**in stroops**). Any function with this
+ * signature can be used as a strategy.
+ *
+ * ```
+ * var builder = new TransactionBuilder(source, {fee: FeeStrategy.capped(10000, FeeStrategy.perOperation(300))});
+ * ```
+ *
+ * @class FeeStrategy
+ */
+export class FeeStrategy {
+  /**
+   * Returns a strategy charging the same fee whatever the number of operations.
+   * @param {number} fee - The total fee of the transaction.
+   * @returns {function}
+   */
+  static fixed(fee) {
+    checkFee("fee", fee);
+    return () => fee;
+  }
+
+  /**
+   * Returns a strategy charging a base fee for every operation. This is the default strategy.
+   * @param {number} [baseFee] - The fee per operation, defaults to 100 stroops.
+   * @returns {function}
+   */
+  static perOperation(baseFee = BASE_FEE) {
+    checkFee("baseFee", baseFee);
+    return operations => baseFee * operations.length;
+  }
+
+  /**
+   * Returns a strategy charging the fee of another strategy, but never more than `maxFee`.
+   * @param {number} maxFee - The maximum total fee of the transaction.
+   * @param {function|number} [strategy] - The strategy to cap or a fee per operation, defaults to {@link FeeStrategy.perOperation}.
+   * @returns {function}
+   */
+  static capped(maxFee, strategy = BASE_FEE) {
+    checkFee("maxFee", maxFee);
+    strategy = FeeStrategy.from(strategy);
+    return operations => Math.min(FeeStrategy.compute(strategy, operations), maxFee);
+  }
+
+  /**
+   * Returns the strategy for the `fee` option of {@link TransactionBuilder}: functions are returned as they are,
+   * numbers and integer strings (ex. `"200"`) are fees per operation.
+   * @param {function|number|string} fee - A strategy or a fee per operation.
+   * @returns {function}
+   */
+  static from(fee) {
+    if (isFunction(fee)) {
+      return fee;
+    }
+    if (isString(fee) && /^[0-9]+$/.test(fee)) {
+      fee = Number(fee);
+    }
+    return FeeStrategy.perOperation(fee);
+  }
+
+  /**
+   * Computes the fee of the operations with the strategy and checks the result fits in a uint32.
+   * @param {function} strategy - The fee strategy.
+   * @param {xdr.Operation[]} operations - The operations of the transaction.
+   * @returns {number}
+   */
+  static compute(strategy, operations) {
+    let fee = strategy(operations);
+    checkFee("fee", fee);
+    return fee;
+  }
+}
+
+function checkFee(name, fee) {
+  if (!isInteger(fee) || fee < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+
+  if (fee > MAX_FEE) {
+    throw new Error(`${name} must not be greater than ${MAX_FEE} stroops`);
+  }
+}
@@ -0,0 +1,128 @@
+import {hash} from "./hashing";
+import {Operation} from "./operation";
+import {StrKey} from "./strkey";
+import nacl from "tweetnacl";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+/**
+ * `HashX` holds the preimage of a `sha256Hash` (hashX) signer. Any transaction can be signed by
+ * revealing the preimage, see {@link Transaction#signHashX}. This is how atomic swaps are unlocked.
+ *
+ * ```
+ * var hashX = HashX.random();
+ * var addSigner = hashX.setOptions({source: escrowAccountId});
+ * // ...later, reveal the preimage to unlock the escrow account
+ * hashX.sign(unlockTransaction);
+ * ```
+ *
+ * @constructor
+ * @param {Buffer|string} preimage - The preimage, as a Buffer or hex string, up to 64 bytes.
+ */
+export class HashX {
+  constructor(preimage) {
+    if (isString(preimage)) {
+      preimage = new Buffer(preimage, "hex");
+    }
+
+    if (!Buffer.isBuffer(preimage)) {
+      throw new Error("preimage must be a Buffer or hex string");
+    }
+
+    if (preimage.length > 64) {
+      throw new Error("preimage cannnot be longer than 64 bytes");
+    }
+
+    this._preimage = new Buffer(preimage);
+  }
+
+  /**
+   * Creates a `HashX` with a random preimage.
+   * @param {number} [length] - The length of the preimage in bytes, defaults to 32.
+   * @returns {HashX}
+   */
+  static random(length = 32) {
+    return new this(new Buffer(nacl.randomBytes(length)));
+  }
+
+  /**
+   * Checks that the preimage matches the hashX signer.
+   * @param {Buffer|string} preimage - The preimage, as a Buffer or hex string.
+   * @param {Buffer|string} sha256Hash - The signer hash, as a Buffer, hex string or `X...` strkey.
+   * @returns {boolean}
+   */
+  static matches(preimage, sha256Hash) {
+    return new HashX(preimage).matches(sha256Hash);
+  }
+
+  /**
+   * Returns the preimage.
+   * @returns {Buffer}
+   */
+  preimage() {
+    return new Buffer(this._preimage);
+  }
+
+  /**
+   * Returns the sha256 hash of the preimage, which is the signer key.
+   * @returns {Buffer}
+   */
+  hash() {
+    return hash(this._preimage);
+  }
+
+  /**
+   * Returns the hash of the preimage encoded as a `X...` strkey.
+   * @returns {string}
+   */
+  address() {
+    return StrKey.encodeSha256Hash(this.hash());
+  }
+
+  /**
+   * Checks that the preimage matches the hashX signer.
+   * @param {Buffer|string} sha256Hash - The signer hash, as a Buffer, hex string or `X...` strkey.
+   * @returns {boolean}
+   */
+  matches(sha256Hash) {
+    if (isString(sha256Hash)) {
+      sha256Hash = /^X/.test(sha256Hash) ? StrKey.decodeSha256Hash(sha256Hash) : new Buffer(sha256Hash, "hex");
+    }
+    return this.hash().equals(sha256Hash);
+  }
+
+  /**
+   * Returns the signer, in the form used by {@link Operation.setOptions}.
+   * @param {number} [weight] - The weight of the signer, defaults to 1.
+   * @returns {{sha256Hash: Buffer, weight: number}}
+   */
+  signer(weight = 1) {
+    return {sha256Hash: this.hash(), weight};
+  }
+
+  /**
+   * Returns the `setOptions` operation adding the hashX signer to an account.
+   * @param {object} [opts]
+   * @param {number} [opts.weight] - The weight of the signer, defaults to 1. Use 0 to remove the signer.
+   * @param {string} [opts.source] - The account to add the signer to, defaults to the transaction source account.
+   * @returns {xdr.Operation}
+   */
+  setOptions(opts = {}) {
+    let weight = isUndefined(opts.weight) ? 1 : opts.weight;
+    return Operation.setOptions({signer: this.signer(weight), source: opts.source});
+  }
+
+  /**
+   * Adds the preimage as a signature of the transaction.
+   * @param {Transaction} transaction - The transaction to sign.
+   * @param {Buffer|string} [sha256Hash] - When given, the expected signer hash (Buffer, hex string or `X...` strkey),
+   * the transaction is not signed if the preimage does not match it.
+   * @returns {void}
+   */
+  sign(transaction, sha256Hash) {
+    if (!isUndefined(sha256Hash) && !this.matches(sha256Hash)) {
+      throw new Error("preimage does not match the hashX signer");
+    }
+    transaction.signHashX(this._preimage);
+  }
+}
@@ -3,15 +3,30 @@ import {default as xdr} from "./generated/stellar-xdr_generated";
 
 export {xdr};
 export {hash} from "./hashing";
-export {sign, verify, FastSigning} from "./signing";
+export {sign, verify, verifyBatch, signAsync, verifyAsync, signBatchAsync, verifyBatchAsync, FastSigning} from "./signing";
 export {Keypair} from "./keypair";
+export {Mnemonic} from "./mnemonic";
+export {Keystore} from "./keystore";
 export {UnsignedHyper,Hyper} from "js-xdr";
 export {Transaction} from "./transaction";
-export {TransactionBuilder} from "./transaction_builder";
+export {TransactionBuilder, TimeoutInfinite} from "./transaction_builder";
+export {FeeStrategy} from "./fee_strategy";
+export {TransactionResult} from "./transaction_result";
+export {TransactionMeta} from "./transaction_meta";
+export {LedgerEntry, AccountEntry, TrustLineEntry, OfferEntry, DataEntry} from "./ledger_entry";
+export {LedgerKey} from "./ledger_key";
+export {TransactionSimulator} from "./transaction_simulator";
+export {ThresholdEvaluator} from "./threshold_evaluator";
+export {TxRep} from "./txrep";
+export {PreAuthTx} from "./pre_auth_tx";
+export {HashX} from "./hash_x";
+export {AtomicSwap} from "./atomic_swap";
+export {PaymentChannel} from "./payment_channel";
 export {Asset} from "./asset";
 export {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag} from "./operation";
 export * from "./memo";
 export {Account} from "./account";
+export {SequenceAllocator} from "./sequence_allocator";
 export {Network, Networks} from "./network";
 export {StrKey} from "./strkey";
 
@@ -1,3 +1,5 @@
+import {Keystore} from "./keystore";
+import {Mnemonic} from "./mnemonic";
 import {Network} from "./network";
 import {sign, verify} from "./signing";
 import * as base58 from "./base58";
@@ -15,6 +17,7 @@ import nacl from "tweetnacl";
  * * `{@link Keypair.fromPublicKey}`
  * * `{@link Keypair.fromSecret}`
  * * `{@link Keypair.random}`
+ * * `{@link Keypair.fromMnemonic}`
  *
  * @constructor
  * @param {object} keys At least one of keys must be provided.
@@ -88,15 +91,47 @@ export class Keypair {
     return new this({type: 'ed25519', secretKey: rawSeed});
   }
 
+  /**
+   * Creates a new `Keypair` object from a [SEP-0005](https://github.com/stellar/stellar-protocol/blob/master/ecosystem/sep-0005.md)
+   * recovery phrase, see {@link Mnemonic}.
+   * @param {string|string[]} words BIP-39 recovery phrase (English wordlist)
+   * @param {string} [passphrase] Optional passphrase protecting the phrase, defaults to an empty string
+   * @param {number} [index] Index of the account in the `m/44'/148'/index'` derivation path, defaults to 0
+   * @returns {Keypair}
+   */
+  static fromMnemonic(words, passphrase = "", index = 0) {
+    Mnemonic.toEntropy(words);
+    let seed = Mnemonic.toSeed(words, passphrase);
+    return this.fromRawEd25519Seed(Mnemonic.deriveSeed(seed, index));
+  }
+
+  /**
+   * Creates a new `Keypair` object from an encrypted keystore, see {@link Keystore}.
+   * @param {object|string} keystore Keystore created by {@link Keypair#toKeystore}, as an object or JSON string
+   * @param {string|Buffer} password Password of the keystore
+   * @returns {Keypair}
+   * @throws {Error} When the password is wrong or the keystore has been modified
+   */
+  static fromKeystore(keystore, password) {
+    keystore = Keystore.parse(keystore);
+    let keypair = this.fromRawEd25519Seed(Keystore.decrypt(keystore, password));
+    if (keypair.publicKey() !== keystore.publicKey) {
+      throw new Error("Wrong password or corrupted keystore");
+    }
+    return keypair;
+  }
+
   /**
    * Returns `Keypair` object representing network master key.
+   * @param {string} [networkPassphrase] Network passphrase, defaults to the passphrase of {@link Network.current}
    * @returns {Keypair}
    */
-  static master() {
-    if (Network.current() === null) {
-      throw new Error("No network selected. Use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
+  static master(networkPassphrase) {
+    let network = networkPassphrase ? new Network(networkPassphrase) : Network.current();
+    if (network === null) {
+      throw new Error("No network selected. Pass a network passphrase or use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
     }
-    return this.fromRawEd25519Seed(Network.current().networkId());
+    return this.fromRawEd25519Seed(network.networkId());
   }
 
   /**
@@ -167,6 +202,20 @@ export class Keypair {
     throw new Error("Invalid Keypair type");
   }
 
+  /**
+   * Encrypts the secret key with a password, see {@link Keystore}.
+   * @param {string|Buffer} password Password of the keystore
+   * @param {object} [opts]
+   * @param {number} [opts.iterations] Number of PBKDF2 iterations, defaults to 100000
+   * @returns {object} Keystore, to be serialized with `JSON.stringify`
+   */
+  toKeystore(password, opts = {}) {
+    if (!this._secretSeed) {
+      throw new Error("no secret key available");
+    }
+    return Keystore.encrypt(this._secretSeed, this.publicKey(), password, opts);
+  }
+
   /**
    * Returns raw secret key.
    * @returns {Buffer}
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import nacl from "tweetnacl";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+export const KEYSTORE_VERSION = 1;
+const KDF = "pbkdf2";
+const DIGEST = "sha256";
+const CIPHER = "xsalsa20-poly1305";
+const DEFAULT_ITERATIONS = 100000;
+
+/**
+ * `Keystore` encrypts secret key seeds with a password, see {@link Keypair#toKeystore} and {@link Keypair.fromKeystore}.
+ *
+ * The key is derived from the password with PBKDF2-HMAC-SHA256 and a random salt, and the seed is encrypted
+ * with tweetnacl `secretbox` (XSalsa20-Poly1305), which also detects a wrong password or a modified keystore.
+ * The keystore is a JSON object:
+ * ```
+ * {
+ *   "version": 1,
+ *   "publicKey": "GB3KJPLFUYN5VL6R3GU3EGCGVCKFDSD7BEDX42HWG5BWFKB3KQGJJRMA",
+ *   "crypto": {
+ *     "kdf": "pbkdf2",
+ *     "kdfParams": {"digest": "sha256", "iterations": 100000, "salt": "<32 bytes hex>"},
+ *     "cipher": "xsalsa20-poly1305",
+ *     "nonce": "<24 bytes hex>",
+ *     "ciphertext": "<48 bytes hex>"
+ *   }
+ * }
+ * ```
+ *
+ * @class Keystore
+ */
+export class Keystore {
+  /**
+   * Encrypts a secret key seed.
+   * @param {Buffer} rawSeed - The raw 32-byte secret key seed.
+   * @param {string} publicKey - The public key of the seed, stored in clear to identify the keystore.
+   * @param {string|Buffer} password - The password.
+   * @param {object} [opts]
+   * @param {number} [opts.iterations] - The number of PBKDF2 iterations, defaults to 100000.
+   * @returns {object} The keystore.
+   */
+  static encrypt(rawSeed, publicKey, password, opts = {}) {
+    let iterations = isUndefined(opts.iterations) ? DEFAULT_ITERATIONS : opts.iterations;
+    if (!(Number.isInteger(iterations) && iterations > 0)) {
+      throw new Error("iterations must be a positive integer");
+    }
+
+    let salt = new Buffer(nacl.randomBytes(32));
+    let nonce = new Buffer(nacl.randomBytes(nacl.secretbox.nonceLength));
+    let key = deriveKey(password, salt, iterations);
+    let ciphertext = new Buffer(nacl.secretbox(new Uint8Array(rawSeed), new Uint8Array(nonce), new Uint8Array(key)));
+
+    return {
+      version: KEYSTORE_VERSION,
+      publicKey,
+      crypto: {
+        kdf: KDF,
+        kdfParams: {digest: DIGEST, iterations, salt: salt.toString("hex")},
+        cipher: CIPHER,
+        nonce: nonce.toString("hex"),
+        ciphertext: ciphertext.toString("hex")
+      }
+    };
+  }
+
+  /**
+   * Decrypts the secret key seed of a keystore.
+   * @param {object|string} keystore - The keystore, as an object or JSON string.
+   * @param {string|Buffer} password - The password.
+   * @returns {Buffer} The raw 32-byte secret key seed.
+   * @throws {Error} When the keystore is invalid, the password is wrong or the keystore has been modified.
+   */
+  static decrypt(keystore, password) {
+    keystore = Keystore.parse(keystore);
+    let params = keystore.crypto;
+    let key = deriveKey(password, new Buffer(params.kdfParams.salt, "hex"), params.kdfParams.iterations);
+    let seed = nacl.secretbox.open(
+      new Uint8Array(new Buffer(params.ciphertext, "hex")),
+      new Uint8Array(new Buffer(params.nonce, "hex")),
+      new Uint8Array(key)
+    );
+
+    // secretbox.open fails on a wrong key and on a modified nonce or ciphertext
+    if (!seed) {
+      throw new Error("Wrong password or corrupted keystore");
+    }
+    return new Buffer(seed);
+  }
+
+  /**
+   * Parses and checks a keystore.
+   * @param {object|string} keystore - The keystore, as an object or JSON string.
+   * @returns {object} The keystore.
+   * @throws {Error} When the keystore is invalid or has an unsupported version.
+   */
+  static parse(keystore) {
+    if (isString(keystore)) {
+      keystore = JSON.parse(keystore);
+    }
+
+    if (!keystore || keystore.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version: ${keystore && keystore.version}`);
+    }
+
+    let params = keystore.crypto || {};
+    let kdfParams = params.kdfParams || {};
+    if (params.kdf !== KDF || kdfParams.digest !== DIGEST || params.cipher !== CIPHER) {
+      throw new Error("Invalid keystore: unsupported kdf or cipher");
+    }
+    if (!(Number.isInteger(kdfParams.iterations) && kdfParams.iterations > 0) ||
+        !isHex(kdfParams.salt) || !isHex(params.nonce, nacl.secretbox.nonceLength) || !isHex(params.ciphertext)) {
+      throw new Error("Invalid keystore: invalid crypto parameters");
+    }
+    return keystore;
+  }
+}
+
+function deriveKey(password, salt, iterations) {
+  if (!(isString(password) || Buffer.isBuffer(password)) || password.length === 0) {
+    throw new Error("password must be a non-empty string or Buffer");
+  }
+  return crypto.pbkdf2Sync(password, salt, iterations, nacl.secretbox.keyLength, DIGEST);
+}
+
+function isHex(value, length) {
+  return isString(value) && /^([0-9a-f]{2})+$/i.test(value) && (isUndefined(length) || value.length === length * 2);
+}
@@ -0,0 +1,438 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {UnsignedHyper} from "js-xdr";
+import {Keypair} from "./keypair";
+import {StrKey} from "./strkey";
+import {accountIdtoAddress} from "./util/account_id";
+import {Asset} from "./asset";
+import {LedgerKey} from "./ledger_key";
+import {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag} from "./operation";
+import assign from "lodash/assign";
+import clone from "lodash/clone";
+import each from "lodash/each";
+import map from "lodash/map";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+const ACCOUNT_FLAGS = {
+  authRequired:  AuthRequiredFlag,
+  authRevocable: AuthRevocableFlag,
+  authImmutable: AuthImmutableFlag
+};
+
+const TRUSTLINE_FLAGS = {
+  authorized: xdr.TrustLineFlags.authorizedFlag().value
+};
+
+const OFFER_FLAGS = {
+  passive: xdr.OfferEntryFlags.passiveFlag().value
+};
+
+/**
+ * `LedgerEntry` is the base class of the ledger entry wrappers:
+ * * `{@link AccountEntry}`
+ * * `{@link TrustLineEntry}`
+ * * `{@link OfferEntry}`
+ * * `{@link DataEntry}`
+ *
+ * Use `{@link LedgerEntry.fromXDR}` to parse an `xdr.LedgerEntry` into one of them.
+ * Amounts are strings in XLM (or asset) units and flags are decoded into named booleans.
+ * @constructor
+ * @param {object} attributes
+ * @param {number} [attributes.lastModifiedLedgerSeq] - Ledger in which the entry was last changed.
+ */
+export class LedgerEntry {
+  constructor(attributes) {
+    this.lastModifiedLedgerSeq = attributes.lastModifiedLedgerSeq || 0;
+  }
+
+  /**
+   * Creates a ledger entry wrapper from its XDR representation. When called on a
+   * subclass (ex. `AccountEntry.fromXDR(entry)`) the entry must be of that type.
+   * @param {string|xdr.LedgerEntry} entry - The ledger entry object or base64 encoded string.
+   * @returns {AccountEntry|TrustLineEntry|OfferEntry|DataEntry}
+   */
+  static fromXDR(entry) {
+    if (isString(entry)) {
+      let buffer = new Buffer(entry, "base64");
+      entry = xdr.LedgerEntry.fromXDR(buffer);
+    }
+
+    let type = entry.data().switch().name;
+    let EntryClass = {
+      account: AccountEntry,
+      trustline: TrustLineEntry,
+      offer: OfferEntry,
+      datum: DataEntry
+    }[type];
+
+    if (this !== LedgerEntry && this !== EntryClass) {
+      throw new Error(`Invalid ledger entry type: ${type}`);
+    }
+
+    let attributes = this._attributesFromXDRObject(entry);
+    attributes.flags = decodeFlags(attributes.flags, EntryClass.flagNames);
+    return new EntryClass(attributes);
+  }
+
+  /**
+   * Returns the xdr object for this ledger entry.
+   * @returns {xdr.LedgerEntry}
+   */
+  toXDRObject() {
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: this.lastModifiedLedgerSeq,
+      data: this._toXDRData(),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  /**
+   * Returns the ledger key identifying this entry.
+   * @returns {xdr.LedgerKey}
+   */
+  ledgerKey() {
+    return LedgerKey.fromLedgerEntry(this.toXDRObject());
+  }
+
+  /**
+   * Converts the XDR LedgerEntry object to a plain object of its attributes. Flags are
+   * returned as a bitmap integer.
+   * @private
+   * @param {xdr.LedgerEntry} entry - An XDR LedgerEntry.
+   * @returns {object}
+   */
+  static _attributesFromXDRObject(entry) {
+    let attrs = entry.data().value();
+    let result = {};
+
+    switch (entry.data().switch().name) {
+      case "account":
+      let thresholds = attrs.thresholds();
+      result.accountId = accountIdtoAddress(attrs.accountId());
+      result.balance = Operation._fromXDRAmount(attrs.balance());
+      result.sequence = attrs.seqNum().toString();
+      result.numSubEntries = attrs.numSubEntries();
+      if (attrs.inflationDest()) {
+        result.inflationDest = accountIdtoAddress(attrs.inflationDest());
+      }
+      result.flags = attrs.flags();
+      result.homeDomain = attrs.homeDomain();
+      result.masterWeight = thresholds[0];
+      result.lowThreshold = thresholds[1];
+      result.medThreshold = thresholds[2];
+      result.highThreshold = thresholds[3];
+      result.signers = map(attrs.signers(), fromXDRSigner);
+      break;
+      case "trustline":
+      result.accountId = accountIdtoAddress(attrs.accountId());
+      result.asset = Asset.fromOperation(attrs.asset());
+      result.balance = Operation._fromXDRAmount(attrs.balance());
+      result.limit = Operation._fromXDRAmount(attrs.limit());
+      result.flags = attrs.flags();
+      break;
+      case "offer":
+      result.sellerId = accountIdtoAddress(attrs.sellerId());
+      result.offerId = attrs.offerId().toString();
+      result.selling = Asset.fromOperation(attrs.selling());
+      result.buying = Asset.fromOperation(attrs.buying());
+      result.amount = Operation._fromXDRAmount(attrs.amount());
+      result.price = Operation._fromXDRPrice(attrs.price());
+      result.priceR = {n: attrs.price().n(), d: attrs.price().d()};
+      result.flags = attrs.flags();
+      break;
+      case "datum":
+      result.accountId = accountIdtoAddress(attrs.accountId());
+      result.name = attrs.dataName();
+      result.value = attrs.dataValue();
+      break;
+      default:
+      throw new Error("Unknown ledger entry type");
+    }
+
+    result.lastModifiedLedgerSeq = entry.lastModifiedLedgerSeq();
+    return result;
+  }
+}
+
+/**
+ * `AccountEntry` represents the state of an account in the ledger.
+ * @constructor
+ * @param {object} attributes
+ * @param {string} attributes.accountId - ID of the account.
+ * @param {string} attributes.balance - Native balance of the account.
+ * @param {string} attributes.sequence - Current sequence number of the account.
+ * @param {number} [attributes.numSubEntries] - Number of trustlines, offers, data entries and signers.
+ * @param {string} [attributes.inflationDest] - Inflation destination account ID.
+ * @param {string} [attributes.homeDomain] - Home domain of the account.
+ * @param {number} [attributes.masterWeight] - The master key weight (defaults to 1).
+ * @param {number} [attributes.lowThreshold] - The sum weight for the low threshold.
+ * @param {number} [attributes.medThreshold] - The sum weight for the medium threshold.
+ * @param {number} [attributes.highThreshold] - The sum weight for the high threshold.
+ * @param {object[]} [attributes.signers] - Additional signers in the form used by {@link Operation.setOptions}.
+ * @param {object} [attributes.flags] - `authRequired`, `authRevocable` and `authImmutable` booleans.
+ * @param {number} [attributes.lastModifiedLedgerSeq] - Ledger in which the entry was last changed.
+ */
+export class AccountEntry extends LedgerEntry {
+  constructor(attributes) {
+    super(attributes);
+    if (!StrKey.isValidEd25519PublicKey(attributes.accountId)) {
+      throw new Error("accountId is invalid");
+    }
+
+    this.accountId     = attributes.accountId;
+    this.balance       = attributes.balance;
+    this.sequence      = attributes.sequence;
+    this.numSubEntries = attributes.numSubEntries || 0;
+    this.inflationDest = attributes.inflationDest;
+    this.homeDomain    = attributes.homeDomain || "";
+    this.masterWeight  = isUndefined(attributes.masterWeight) ? 1 : attributes.masterWeight;
+    this.lowThreshold  = attributes.lowThreshold || 0;
+    this.medThreshold  = attributes.medThreshold || 0;
+    this.highThreshold = attributes.highThreshold || 0;
+    this.signers       = map(attributes.signers, clone);
+    this.flags         = normalizeFlags(attributes.flags, AccountEntry.flagNames);
+  }
+
+  /**
+   * @private
+   */
+  static get flagNames() {
+    return ACCOUNT_FLAGS;
+  }
+
+  /**
+   * @private
+   */
+  _toXDRData() {
+    let attributes = {
+      accountId:     Keypair.fromPublicKey(this.accountId).xdrAccountId(),
+      balance:       Operation._toXDRAmount(this.balance),
+      seqNum:        xdr.SequenceNumber.fromString(this.sequence),
+      numSubEntries: this.numSubEntries,
+      inflationDest: this.inflationDest ? Keypair.fromPublicKey(this.inflationDest).xdrAccountId() : null,
+      flags:         encodeFlags(this.flags, AccountEntry.flagNames),
+      homeDomain:    this.homeDomain,
+      thresholds:    new Buffer([this.masterWeight, this.lowThreshold, this.medThreshold, this.highThreshold]),
+      signers:       map(this.signers, toXDRSigner),
+      ext:           new xdr.AccountEntryExt(0)
+    };
+
+    return xdr.LedgerEntryData.account(new xdr.AccountEntry(attributes));
+  }
+}
+
+/**
+ * `TrustLineEntry` represents a trustline of an account in the ledger.
+ * @constructor
+ * @param {object} attributes
+ * @param {string} attributes.accountId - ID of the account holding the trustline.
+ * @param {Asset} attributes.asset - The asset of the trustline.
+ * @param {string} attributes.balance - Balance of the asset.
+ * @param {string} attributes.limit - Limit of the trustline.
+ * @param {object} [attributes.flags] - `authorized` boolean.
+ * @param {number} [attributes.lastModifiedLedgerSeq] - Ledger in which the entry was last changed.
+ */
+export class TrustLineEntry extends LedgerEntry {
+  constructor(attributes) {
+    super(attributes);
+    if (!StrKey.isValidEd25519PublicKey(attributes.accountId)) {
+      throw new Error("accountId is invalid");
+    }
+    if (!attributes.asset) {
+      throw new Error("Must provide an asset for a trustline entry");
+    }
+
+    this.accountId = attributes.accountId;
+    this.asset     = attributes.asset;
+    this.balance   = attributes.balance;
+    this.limit     = attributes.limit;
+    this.flags     = normalizeFlags(attributes.flags, TrustLineEntry.flagNames);
+  }
+
+  /**
+   * @private
+   */
+  static get flagNames() {
+    return TRUSTLINE_FLAGS;
+  }
+
+  /**
+   * @private
+   */
+  _toXDRData() {
+    let attributes = {
+      accountId: Keypair.fromPublicKey(this.accountId).xdrAccountId(),
+      asset:     this.asset.toXDRObject(),
+      balance:   Operation._toXDRAmount(this.balance),
+      limit:     Operation._toXDRAmount(this.limit),
+      flags:     encodeFlags(this.flags, TrustLineEntry.flagNames),
+      ext:       new xdr.TrustLineEntryExt(0)
+    };
+
+    return xdr.LedgerEntryData.trustline(new xdr.TrustLineEntry(attributes));
+  }
+}
+
+/**
+ * `OfferEntry` represents an offer in the ledger.
+ * @constructor
+ * @param {object} attributes
+ * @param {string} attributes.sellerId - ID of the account that created the offer.
+ * @param {number|string} [attributes.offerId] - ID of the offer (defaults to `0`).
+ * @param {Asset} attributes.selling - What is being sold.
+ * @param {Asset} attributes.buying - What is being bought.
+ * @param {string} attributes.amount - Amount of `selling` being sold.
+ * @param {string} [attributes.price] - Price of 1 unit of `selling` in terms of `buying`.
+ * @param {object} [attributes.priceR] - Exact price as a fraction, takes precedence over `price`.
+ * @param {number} attributes.priceR.n - The price numerator
+ * @param {number} attributes.priceR.d - The price denominator
+ * @param {object} [attributes.flags] - `passive` boolean.
+ * @param {number} [attributes.lastModifiedLedgerSeq] - Ledger in which the entry was last changed.
+ */
+export class OfferEntry extends LedgerEntry {
+  constructor(attributes) {
+    super(attributes);
+    if (!StrKey.isValidEd25519PublicKey(attributes.sellerId)) {
+      throw new Error("sellerId is invalid");
+    }
+    if (!attributes.selling || !attributes.buying) {
+      throw new Error("Must provide selling and buying assets for an offer entry");
+    }
+
+    let price = Operation._toXDRPrice(attributes.priceR || attributes.price);
+
+    this.sellerId = attributes.sellerId;
+    this.offerId  = isUndefined(attributes.offerId) ? "0" : attributes.offerId.toString();
+    this.selling  = attributes.selling;
+    this.buying   = attributes.buying;
+    this.amount   = attributes.amount;
+    this.price    = Operation._fromXDRPrice(price);
+    this.priceR   = {n: price.n(), d: price.d()};
+    this.flags    = normalizeFlags(attributes.flags, OfferEntry.flagNames);
+  }
+
+  /**
+   * @private
+   */
+  static get flagNames() {
+    return OFFER_FLAGS;
+  }
+
+  /**
+   * @private
+   */
+  _toXDRData() {
+    let attributes = {
+      sellerId: Keypair.fromPublicKey(this.sellerId).xdrAccountId(),
+      offerId:  UnsignedHyper.fromString(this.offerId),
+      selling:  this.selling.toXDRObject(),
+      buying:   this.buying.toXDRObject(),
+      amount:   Operation._toXDRAmount(this.amount),
+      price:    new xdr.Price(this.priceR),
+      flags:    encodeFlags(this.flags, OfferEntry.flagNames),
+      ext:      new xdr.OfferEntryExt(0)
+    };
+
+    return xdr.LedgerEntryData.offer(new xdr.OfferEntry(attributes));
+  }
+}
+
+/**
+ * `DataEntry` represents a data entry of an account in the ledger.
+ * @constructor
+ * @param {object} attributes
+ * @param {string} attributes.accountId - ID of the account the data belongs to.
+ * @param {string} attributes.name - The name of the data entry.
+ * @param {string|Buffer} attributes.value - The value of the data entry.
+ * @param {number} [attributes.lastModifiedLedgerSeq] - Ledger in which the entry was last changed.
+ */
+export class DataEntry extends LedgerEntry {
+  constructor(attributes) {
+    super(attributes);
+    if (!StrKey.isValidEd25519PublicKey(attributes.accountId)) {
+      throw new Error("accountId is invalid");
+    }
+    if (!(isString(attributes.name) && attributes.name.length <= 64)) {
+      throw new Error("name must be a string, up to 64 characters");
+    }
+
+    this.accountId = attributes.accountId;
+    this.name      = attributes.name;
+    this.value     = isString(attributes.value) ? new Buffer(attributes.value) : attributes.value;
+  }
+
+  /**
+   * @private
+   */
+  static get flagNames() {
+    return {};
+  }
+
+  /**
+   * @private
+   */
+  _toXDRData() {
+    let attributes = {
+      accountId: Keypair.fromPublicKey(this.accountId).xdrAccountId(),
+      dataName:  this.name,
+      dataValue: this.value,
+      ext:       new xdr.DataEntryExt(0)
+    };
+
+    return xdr.LedgerEntryData.datum(new xdr.DataEntry(attributes));
+  }
+}
+
+function fromXDRSigner(signer) {
+  let result = {};
+  let key = signer.key();
+  switch (key.arm()) {
+    case "ed25519":
+    result.ed25519PublicKey = StrKey.encodeEd25519PublicKey(key.ed25519());
+    break;
+    case "preAuthTx":
+    result.preAuthTx = key.preAuthTx();
+    break;
+    case "hashX":
+    result.sha256Hash = key.hashX();
+    break;
+  }
+  result.weight = signer.weight();
+  return result;
+}
+
+function toXDRSigner(signer) {
+  let key;
+  if (signer.ed25519PublicKey) {
+    key = xdr.SignerKey.signerKeyTypeEd25519(StrKey.decodeEd25519PublicKey(signer.ed25519PublicKey));
+  } else if (signer.preAuthTx) {
+    key = xdr.SignerKey.signerKeyTypePreAuthTx(signer.preAuthTx);
+  } else if (signer.sha256Hash) {
+    key = xdr.SignerKey.signerKeyTypeHashX(signer.sha256Hash);
+  } else {
+    throw new Error("Signer object must contain one of ed25519PublicKey, sha256Hash, preAuthTx.");
+  }
+  return new xdr.Signer({key, weight: signer.weight});
+}
+
+function decodeFlags(value, names) {
+  let flags = {};
+  each(names, (mask, name) => {
+    flags[name] = (value & mask) !== 0;
+  });
+  return flags;
+}
+
+function encodeFlags(flags, names) {
+  let value = 0;
+  each(names, (mask, name) => {
+    if (flags[name]) {
+      value |= mask;
+    }
+  });
+  return value;
+}
+
+function normalizeFlags(flags, names) {
+  return assign(decodeFlags(0, names), flags);
+}
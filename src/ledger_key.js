@@ -0,0 +1,178 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {UnsignedHyper} from "js-xdr";
+import {hash} from "./hashing";
+import {Keypair} from "./keypair";
+import {StrKey} from "./strkey";
+import {accountIdtoAddress} from "./util/account_id";
+import {Asset} from "./asset";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+
+/**
+ * `LedgerKey` class contains helpers to build and identify `xdr.LedgerKey` objects,
+ * which uniquely identify entries in the ledger.
+ * Use one of static methods to create ledger keys:
+ * * `{@link LedgerKey.account}`
+ * * `{@link LedgerKey.trustline}`
+ * * `{@link LedgerKey.offer}`
+ * * `{@link LedgerKey.data}`
+ * * `{@link LedgerKey.fromLedgerEntry}`
+ *
+ * @class LedgerKey
+ */
+export class LedgerKey {
+  /**
+   * Creates the ledger key of an account.
+   * @param {string} accountId - ID of the account.
+   * @returns {xdr.LedgerKey}
+   */
+  static account(accountId) {
+    let attributes = {};
+    attributes.accountId = this._toXDRAccountId("accountId", accountId);
+    return xdr.LedgerKey.account(new xdr.LedgerKeyAccount(attributes));
+  }
+
+  /**
+   * Creates the ledger key of a trustline.
+   * @param {string} accountId - ID of the account holding the trustline.
+   * @param {Asset} asset - The asset of the trustline.
+   * @returns {xdr.LedgerKey}
+   */
+  static trustline(accountId, asset) {
+    if (!(asset instanceof Asset) || asset.isNative()) {
+      throw new Error("asset must be a non-native Asset");
+    }
+
+    let attributes = {};
+    attributes.accountId = this._toXDRAccountId("accountId", accountId);
+    attributes.asset     = asset.toXDRObject();
+    return xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine(attributes));
+  }
+
+  /**
+   * Creates the ledger key of an offer.
+   * @param {string} sellerId - ID of the account that created the offer.
+   * @param {number|string} offerId - ID of the offer.
+   * @returns {xdr.LedgerKey}
+   */
+  static offer(sellerId, offerId) {
+    if (isUndefined(offerId) || !/^\d+$/.test(offerId.toString())) {
+      throw new Error("offerId is invalid");
+    }
+
+    let attributes = {};
+    attributes.sellerId = this._toXDRAccountId("sellerId", sellerId);
+    attributes.offerId  = UnsignedHyper.fromString(offerId.toString());
+    return xdr.LedgerKey.offer(new xdr.LedgerKeyOffer(attributes));
+  }
+
+  /**
+   * Creates the ledger key of a data entry.
+   * @param {string} accountId - ID of the account the data belongs to.
+   * @param {string} name - The name of the data entry.
+   * @returns {xdr.LedgerKey}
+   */
+  static data(accountId, name) {
+    if (!(isString(name) && name.length <= 64)) {
+      throw new Error("name must be a string, up to 64 characters");
+    }
+
+    let attributes = {};
+    attributes.accountId = this._toXDRAccountId("accountId", accountId);
+    attributes.dataName  = name;
+    return xdr.LedgerKey.datum(new xdr.LedgerKeyData(attributes));
+  }
+
+  /**
+   * Returns the ledger key identifying the given ledger entry.
+   * @param {xdr.LedgerEntry} entry - An XDR LedgerEntry.
+   * @returns {xdr.LedgerKey}
+   */
+  static fromLedgerEntry(entry) {
+    let attrs = entry.data().value();
+
+    switch (entry.data().switch().name) {
+      case "account":
+      return xdr.LedgerKey.account(new xdr.LedgerKeyAccount({
+        accountId: attrs.accountId()
+      }));
+      case "trustline":
+      return xdr.LedgerKey.trustline(new xdr.LedgerKeyTrustLine({
+        accountId: attrs.accountId(),
+        asset: attrs.asset()
+      }));
+      case "offer":
+      return xdr.LedgerKey.offer(new xdr.LedgerKeyOffer({
+        sellerId: attrs.sellerId(),
+        offerId: attrs.offerId()
+      }));
+      case "datum":
+      return xdr.LedgerKey.datum(new xdr.LedgerKeyData({
+        accountId: attrs.accountId(),
+        dataName: attrs.dataName()
+      }));
+      default:
+      throw new Error("Unknown ledger entry type");
+    }
+  }
+
+  /**
+   * Converts the XDR LedgerKey object to a plain object.
+   * @param {xdr.LedgerKey} ledgerKey - An XDR LedgerKey.
+   * @returns {object}
+   */
+  static fromXDRObject(ledgerKey) {
+    let attrs = ledgerKey.value();
+
+    switch (ledgerKey.switch().name) {
+      case "account":
+      return {accountId: accountIdtoAddress(attrs.accountId())};
+      case "trustline":
+      return {
+        accountId: accountIdtoAddress(attrs.accountId()),
+        asset: Asset.fromOperation(attrs.asset())
+      };
+      case "offer":
+      return {
+        sellerId: accountIdtoAddress(attrs.sellerId()),
+        offerId: attrs.offerId().toString()
+      };
+      case "datum":
+      return {
+        accountId: accountIdtoAddress(attrs.accountId()),
+        name: attrs.dataName()
+      };
+      default:
+      throw new Error("Unknown ledger entry type");
+    }
+  }
+
+  /**
+   * Returns the SHA-256 hash of the XDR encoded ledger key.
+   * @param {xdr.LedgerKey} ledgerKey - An XDR LedgerKey.
+   * @returns {Buffer}
+   */
+  static hash(ledgerKey) {
+    return hash(ledgerKey.toXDR());
+  }
+
+  /**
+   * Returns a stable string identifying the ledger key, suitable as a cache key.
+   * Equal keys always give the same string.
+   * @param {xdr.LedgerKey} ledgerKey - An XDR LedgerKey.
+   * @returns {string} hex encoded {@link LedgerKey.hash}
+   */
+  static id(ledgerKey) {
+    return this.hash(ledgerKey).toString("hex");
+  }
+
+  /**
+   * @private
+   */
+  static _toXDRAccountId(name, accountId) {
+    if (!StrKey.isValidEd25519PublicKey(accountId)) {
+      throw new Error(`${name} is invalid`);
+    }
+    return Keypair.fromPublicKey(accountId).xdrAccountId();
+  }
+}
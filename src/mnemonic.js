@@ -0,0 +1,174 @@
+import {hash} from "./hashing";
+import {Keypair} from "./keypair";
+import {default as wordlist} from "./vendor/bip39_english";
+import crypto from "crypto";
+import nacl from "tweetnacl";
+import isString from "lodash/isString";
+import times from "lodash/times";
+
+const PBKDF2_ROUNDS = 2048;
+const ED25519_CURVE = "ed25519 seed";
+const HARDENED_OFFSET = 0x80000000;
+// m/44'/148'/n', see SEP-0005
+const STELLAR_PATH = [44, 148];
+
+/**
+ * `Mnemonic` implements the key derivation of [SEP-0005](https://github.com/stellar/stellar-protocol/blob/master/ecosystem/sep-0005.md):
+ * [BIP-39](https://github.com/bitcoin/bips/blob/master/bip-0039.mediawiki) recovery phrases with the English
+ * wordlist, and [SLIP-0010](https://github.com/satoshilabs/slips/blob/master/slip-0010.md) ed25519 derivation
+ * along `m/44'/148'/n'`. The same phrase gives the same accounts in any SEP-0005 wallet.
+ *
+ * ```
+ * var words = Mnemonic.generate();
+ * var keypair = Keypair.fromMnemonic(words);
+ * var nextAccounts = Mnemonic.keypairs(words, "", 1, 5);
+ * ```
+ *
+ * @class Mnemonic
+ */
+export class Mnemonic {
+  /**
+   * Generates a random recovery phrase.
+   * @param {number} [strength] - The entropy in bits: 128, 160, 192, 224 or 256, defaults to 256 (24 words).
+   * @returns {string}
+   */
+  static generate(strength = 256) {
+    if (strength % 32 !== 0 || strength < 128 || strength > 256) {
+      throw new Error("strength must be 128, 160, 192, 224 or 256");
+    }
+    return Mnemonic.fromEntropy(new Buffer(nacl.randomBytes(strength / 8)));
+  }
+
+  /**
+   * Returns the recovery phrase encoding `entropy`.
+   * @param {Buffer|string} entropy - The entropy, as a Buffer or hex string, from 16 to 32 bytes.
+   * @returns {string}
+   */
+  static fromEntropy(entropy) {
+    if (isString(entropy)) {
+      entropy = new Buffer(entropy, "hex");
+    }
+    if (!Buffer.isBuffer(entropy) || entropy.length % 4 !== 0 || entropy.length < 16 || entropy.length > 32) {
+      throw new Error("entropy must be 16, 20, 24, 28 or 32 bytes");
+    }
+
+    let bits = toBits(entropy) + checksumBits(entropy);
+    return times(bits.length / 11, i => wordlist[parseInt(bits.slice(i * 11, (i + 1) * 11), 2)]).join(" ");
+  }
+
+  /**
+   * Returns the entropy encoded by a recovery phrase.
+   * @param {string|string[]} words - The recovery phrase.
+   * @returns {Buffer}
+   * @throws {Error} When the recovery phrase is invalid.
+   */
+  static toEntropy(words) {
+    words = splitWords(words);
+    if ([12, 15, 18, 21, 24].indexOf(words.length) === -1) {
+      throw new Error("Invalid mnemonic: it must have 12, 15, 18, 21 or 24 words");
+    }
+
+    let bits = words.map(word => {
+      let index = wordlist.indexOf(word);
+      if (index === -1) {
+        throw new Error(`Invalid mnemonic: unknown word "${word}"`);
+      }
+      return ("00000000000" + index.toString(2)).slice(-11);
+    }).join("");
+
+    let checksumLength = bits.length / 33;
+    let entropyBits = bits.slice(0, bits.length - checksumLength);
+    let entropy = new Buffer(times(entropyBits.length / 8, i => parseInt(entropyBits.slice(i * 8, (i + 1) * 8), 2)));
+    if (checksumBits(entropy) !== bits.slice(-checksumLength)) {
+      throw new Error("Invalid mnemonic: checksum does not match");
+    }
+    return entropy;
+  }
+
+  /**
+   * Checks that a recovery phrase only has words of the wordlist and a valid checksum.
+   * @param {string|string[]} words - The recovery phrase.
+   * @returns {boolean}
+   */
+  static isValid(words) {
+    try {
+      Mnemonic.toEntropy(words);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns the BIP-39 seed of a recovery phrase. The phrase is not validated.
+   * @param {string|string[]} words - The recovery phrase.
+   * @param {string} [passphrase] - The optional passphrase, defaults to an empty string.
+   * @returns {Buffer} The 64-byte seed.
+   */
+  static toSeed(words, passphrase = "") {
+    let sentence = normalize(splitWords(words).join(" "));
+    let salt = normalize("mnemonic" + passphrase);
+    return crypto.pbkdf2Sync(new Buffer(sentence, "utf8"), new Buffer(salt, "utf8"), PBKDF2_ROUNDS, 64, "sha512");
+  }
+
+  /**
+   * Derives the ed25519 secret key seed of the account `m/44'/148'/index'` from a BIP-39 seed.
+   * @param {Buffer} seed - The BIP-39 seed, see {@link Mnemonic.toSeed}.
+   * @param {number} [index] - The index of the account, defaults to 0.
+   * @returns {Buffer} The raw 32-byte ed25519 secret key seed.
+   */
+  static deriveSeed(seed, index = 0) {
+    if (!(Number.isInteger(index) && index >= 0 && index < HARDENED_OFFSET)) {
+      throw new Error("index must be an integer between 0 and 2147483647");
+    }
+
+    let node = hmacSha512(new Buffer(ED25519_CURVE, "utf8"), seed);
+    STELLAR_PATH.concat([index]).forEach(segment => {
+      // ed25519 only supports hardened derivation
+      let data = new Buffer(37);
+      data.writeUInt8(0, 0);
+      node.slice(0, 32).copy(data, 1);
+      data.writeUInt32BE(segment + HARDENED_OFFSET, 33);
+      node = hmacSha512(node.slice(32), data);
+    });
+    return node.slice(0, 32);
+  }
+
+  /**
+   * Returns the keypairs of consecutive accounts of a recovery phrase.
+   * @param {string|string[]} words - The recovery phrase.
+   * @param {string} [passphrase] - The optional passphrase, defaults to an empty string.
+   * @param {number} [start] - The index of the first account, defaults to 0.
+   * @param {number} [count] - The number of accounts, defaults to 10.
+   * @returns {Keypair[]}
+   * @throws {Error} When the recovery phrase is invalid.
+   */
+  static keypairs(words, passphrase = "", start = 0, count = 10) {
+    Mnemonic.toEntropy(words);
+    let seed = Mnemonic.toSeed(words, passphrase);
+    return times(count, i => Keypair.fromRawEd25519Seed(Mnemonic.deriveSeed(seed, start + i)));
+  }
+}
+
+function splitWords(words) {
+  if (isString(words)) {
+    return normalize(words).trim().split(/\s+/);
+  }
+  return words.map(normalize);
+}
+
+function normalize(text) {
+  return text.normalize("NFKD");
+}
+
+function toBits(buffer) {
+  return Array.prototype.map.call(buffer, byte => ("00000000" + byte.toString(2)).slice(-8)).join("");
+}
+
+function checksumBits(entropy) {
+  return toBits(hash(entropy)).slice(0, entropy.length * 8 / 32);
+}
+
+function hmacSha512(key, data) {
+  return crypto.createHmac("sha512", key).update(data).digest();
+}
@@ -6,6 +6,7 @@ import {StrKey} from "./strkey";
 import {Asset} from "./asset";
 import BigNumber from 'bignumber.js';
 import {best_r} from "./util/continued_fraction";
+import {accountIdtoAddress} from "./util/account_id";
 import padEnd from 'lodash/padEnd';
 import trimEnd  from 'lodash/trimEnd';
 import isEmpty from 'lodash/isEmpty';
@@ -523,10 +524,6 @@ export class Operation {
    * @return {Operation}
    */
   static fromXDRObject(operation) {
-    function accountIdtoAddress(accountId) {
-      return StrKey.encodeEd25519PublicKey(accountId.ed25519());
-    }
-
     let result = {};
     if (operation.sourceAccount()) {
       result.source = accountIdtoAddress(operation.sourceAccount());
@@ -729,7 +726,7 @@ export class Operation {
    * @private
    */
   static _fromXDRAmount(value) {
-    return new BigNumber(value).div(ONE).toString();
+    return new BigNumber(value).div(ONE).toFixed();
   }
 
   /**
@@ -0,0 +1,376 @@
+import {Account} from "./account";
+import {Asset} from "./asset";
+import {Operation} from "./operation";
+import {TransactionBuilder, TimeoutInfinite} from "./transaction_builder";
+import BigNumber from 'bignumber.js';
+import isDate from "lodash/isDate";
+import isUndefined from "lodash/isUndefined";
+
+const DEFAULT_TIMEOUT = 300; // seconds
+
+/**
+ * `PaymentChannel` builds the transactions of a two-party XLM payment channel and tracks its state.
+ *
+ * The deposits of both parties are held by an escrow account which requires the signatures of both
+ * of them. The version of the channel is tracked by the sequence number of the escrow account, which
+ * is `S` once the channel is set up:
+ * * every update `n` is a pair of transactions signed by both parties: the declaration of version `n`,
+ *   which does nothing but use the escrow sequence number `S + n`, and the close transaction of version `n`,
+ *   which uses the sequence number `S + n + 1`, pays the responder balance and merges the escrow account
+ *   into the initiator account,
+ * * declarations are valid until `expiry`, close transactions from `expiry`. Once `expiry` is reached,
+ *   the sequence number of the escrow account is `S + n` where `n` is the latest declaration submitted,
+ *   and only the close transaction of version `n` can be applied.
+ *
+ * Each party must submit the declarations of the latest version (see {@link PaymentChannel#declarations})
+ * before `expiry`: a declaration submitted by the other party for an older version does not prevent it,
+ * the declarations of the following versions still apply after it. No update is made during the last
+ * `disputePeriod` seconds before `expiry`, which leaves that time to submit the declarations.
+ * The declarations are paid by the escrow account, its starting balance must cover their fees.
+ *
+ * The usual workflow is:
+ * 1. the initiator creates the escrow account with {@link PaymentChannel.createEscrow},
+ * 2. both parties create a `PaymentChannel` with the escrow account, sign the close transaction of
+ *    version 0 (see {@link PaymentChannel#close}), which gives the deposits back,
+ * 3. both parties and the escrow key sign the setup transaction (see {@link PaymentChannel#setup}),
+ * 4. for every payment, one party proposes the next version with {@link PaymentChannel#update} and signs
+ *    its transactions, the other party checks them with {@link PaymentChannel#acceptUpdate} and countersigns
+ *    them, then the first party accepts the countersigned update,
+ * 5. both parties sign the final settlement (see {@link PaymentChannel#settle}), or either party submits
+ *    the declarations and, from `expiry`, the latest close transaction.
+ *
+ * ```
+ * var channel = new PaymentChannel({escrow, initiator, responder, initiatorAmount: "100", responderAmount: "0",
+ *                                   expiry: new Date("2019-01-01"), disputePeriod: 3600});
+ * var update = channel.update({initiator: "90", responder: "10"});
+ * update.declaration.sign(initiatorKeypair);
+ * update.close.sign(initiatorKeypair);
+ * // ...on the responder side
+ * channel.acceptUpdate(update, initiatorId);
+ * update.declaration.sign(responderKeypair);
+ * update.close.sign(responderKeypair);
+ * ```
+ *
+ * @constructor
+ * @param {object} opts
+ * @param {Account} opts.escrow - The escrow account with its sequence number, see {@link PaymentChannel.createEscrow}.
+ * @param {string} opts.initiator - The ID of the initiator account, which funded the escrow account.
+ * @param {string} opts.responder - The ID of the responder account.
+ * @param {string} opts.initiatorAmount - The amount of XLM deposited by the initiator.
+ * @param {string} opts.responderAmount - The amount of XLM deposited by the responder.
+ * @param {Date|number|string} opts.expiry - The time from which the channel can be closed without the other party.
+ * @param {number} opts.disputePeriod - The time in seconds before `expiry` left to submit the declarations,
+ *   no update is made during it.
+ * @param {number|function} [opts.fee] - The fee, see {@link TransactionBuilder}.
+ * @param {string} [opts.networkPassphrase] - The passphrase of the network the channel is on.
+ */
+export class PaymentChannel {
+  constructor(opts) {
+    if (!(opts.escrow instanceof Account)) {
+      throw new Error("escrow must be an Account");
+    }
+    checkAmount(opts.initiatorAmount, "initiatorAmount");
+    checkAmount(opts.responderAmount, "responderAmount");
+    if (isUndefined(opts.expiry)) {
+      throw new Error("expiry is required");
+    }
+    if (isNaN(opts.disputePeriod) || opts.disputePeriod <= 0) {
+      throw new Error("disputePeriod must be a positive number of seconds");
+    }
+
+    this.escrow = opts.escrow.accountId();
+    this.escrowSequence = opts.escrow.sequenceNumber();
+    this.initiator = new Account(opts.initiator, "0").accountId();
+    this.responder = new Account(opts.responder, "0").accountId();
+    this.initiatorAmount = opts.initiatorAmount;
+    this.responderAmount = opts.responderAmount;
+    this.expiry = toTimestamp(opts.expiry);
+    this.disputePeriod = new BigNumber(opts.disputePeriod);
+    this.fee = opts.fee;
+    this.networkPassphrase = opts.networkPassphrase;
+
+    this.version = 0;
+    this.balances = {initiator: opts.initiatorAmount, responder: opts.responderAmount};
+    this._declarations = [];
+  }
+
+  /**
+   * Builds the transaction creating the escrow account, signed by the initiator.
+   * @param {object} opts
+   * @param {Account} opts.source - The initiator account, its sequence number is incremented.
+   * @param {string} opts.escrow - The ID of the new escrow account.
+   * @param {string} [opts.startingBalance] - The starting balance of the escrow account in XLM, defaults to "5".
+   *   It must cover the reserve of the escrow account with its signers and the fees of the declarations
+   *   and of the close transaction.
+   *   It is given back to the initiator when the channel is closed.
+   * @param {number} [opts.timeout] - The timeout of the transaction in seconds, defaults to 300.
+   * @param {number|function} [opts.fee] - The fee, see {@link TransactionBuilder}.
+   * @param {string} [opts.networkPassphrase] - The passphrase of the network the channel is on.
+   * @returns {Transaction}
+   */
+  static createEscrow(opts) {
+    return new TransactionBuilder(opts.source, {fee: opts.fee, networkPassphrase: opts.networkPassphrase})
+      .addOperation(Operation.createAccount({
+        destination: opts.escrow,
+        startingBalance: opts.startingBalance || "5"
+      }))
+      .setTimeout(isUndefined(opts.timeout) ? DEFAULT_TIMEOUT : opts.timeout)
+      .build();
+  }
+
+  /**
+   * Builds the setup transaction, which deposits the amounts of both parties in the escrow account and
+   * replaces its master key by the two parties. It must be signed by the initiator, the responder when
+   * it deposits an amount, and the escrow key, once both parties have signed the close transaction of version 0.
+   * @param {Account} initiatorAccount - The initiator account, its sequence number is incremented.
+   * @param {object} [opts]
+   * @param {number} [opts.timeout] - The timeout of the transaction in seconds, defaults to 300.
+   * @returns {Transaction}
+   */
+  setup(initiatorAccount, opts = {}) {
+    if (initiatorAccount.accountId() !== this.initiator) {
+      throw new Error("initiatorAccount is not the initiator of the channel");
+    }
+
+    let builder = new TransactionBuilder(initiatorAccount, this._builderOpts());
+    if (new BigNumber(this.initiatorAmount).greaterThan(0)) {
+      builder.addOperation(Operation.payment({
+        destination: this.escrow,
+        asset: Asset.native(),
+        amount: this.initiatorAmount
+      }));
+    }
+    if (new BigNumber(this.responderAmount).greaterThan(0)) {
+      builder.addOperation(Operation.payment({
+        destination: this.escrow,
+        asset: Asset.native(),
+        amount: this.responderAmount,
+        source: this.responder
+      }));
+    }
+
+    return builder
+      .addOperation(Operation.setOptions({signer: {ed25519PublicKey: this.initiator, weight: 1}, source: this.escrow}))
+      .addOperation(Operation.setOptions({signer: {ed25519PublicKey: this.responder, weight: 1}, source: this.escrow}))
+      .addOperation(Operation.setOptions({
+        masterWeight: 0,
+        lowThreshold: 2,
+        medThreshold: 2,
+        highThreshold: 2,
+        source: this.escrow
+      }))
+      .setTimeout(isUndefined(opts.timeout) ? DEFAULT_TIMEOUT : opts.timeout)
+      .build();
+  }
+
+  /**
+   * Builds the close transaction of the current version, to be signed by both parties.
+   * @returns {Transaction}
+   */
+  close() {
+    return this._closeTransaction(this.version, this.balances);
+  }
+
+  /**
+   * Returns the declarations of the accepted updates, in order, with the signatures added to them
+   * since they were accepted. They must all be submitted, in order, before `expiry`.
+   * @param {Account} [escrow] - The escrow account with its current sequence number, to only return
+   *   the declarations which have not been applied yet.
+   * @returns {Transaction[]}
+   */
+  declarations(escrow) {
+    if (isUndefined(escrow)) {
+      return this._declarations.slice();
+    }
+    let sequence = new BigNumber(escrow.sequenceNumber());
+    return this._declarations.filter(tx => sequence.lessThan(tx.sequence));
+  }
+
+  /**
+   * Builds the transactions of the next version, with new balances. The state of the channel
+   * is not changed until the update is accepted, see {@link PaymentChannel#acceptUpdate}.
+   * @param {object} balances
+   * @param {string} balances.initiator - The new balance of the initiator.
+   * @param {string} balances.responder - The new balance of the responder.
+   * @returns {{declaration: Transaction, close: Transaction}}
+   */
+  update(balances) {
+    this._checkBalances(balances);
+    if (!this._isOpen()) {
+      throw new Error("The dispute period has started, the channel must be closed");
+    }
+    return this._update(this.version + 1, balances);
+  }
+
+  /**
+   * Checks an update signed by the other party: it must be the declaration and close transaction of the
+   * next version of this channel, both signed by `signer`, and the dispute period must not have started.
+   * @param {{declaration: Transaction, close: Transaction}} update - The update.
+   * @param {string} signer - The ID of the party which signed the update.
+   * @returns {{version: number, balances: {initiator: string, responder: string}}}
+   * @throws {Error} When the update is invalid.
+   */
+  verifyUpdate(update, signer) {
+    let {declaration, close} = update || {};
+    if (!declaration || !close || declaration.source !== this.escrow || close.source !== this.escrow) {
+      throw new Error("Invalid update: not an update of the channel");
+    }
+
+    let version = new BigNumber(declaration.sequence).minus(this.escrowSequence).toNumber();
+    if (version !== this.version + 1) {
+      throw new Error(`Invalid update: version ${version} is not the next version ${this.version + 1}`);
+    }
+
+    if (!this._isOpen()) {
+      throw new Error("Invalid update: the dispute period has started");
+    }
+
+    let payment = close.operations.filter(op => op.type === "payment")[0];
+    let responder = payment ? payment.amount : "0";
+    let balances = {
+      initiator: new BigNumber(this._total()).minus(responder).toString(),
+      responder
+    };
+    if (new BigNumber(balances.initiator).isNegative()) {
+      throw new Error(`Invalid update: the balances of version ${version} do not add up to ${this._total()}`);
+    }
+
+    let expected = this._update(version, balances);
+    if (!expected.declaration.hash().equals(declaration.hash())) {
+      throw new Error(`Invalid update: not the declaration of version ${version}`);
+    }
+    if (!expected.close.hash().equals(close.hash())) {
+      throw new Error(`Invalid update: not the close transaction of version ${version}`);
+    }
+
+    [declaration, close].forEach(transaction => {
+      let signatures = transaction.verifySignatures([signer]);
+      if (!signatures.valid.some(s => s.signer.ed25519PublicKey === signer)) {
+        throw new Error("Invalid update: not signed by " + signer);
+      }
+    });
+
+    return {version, balances};
+  }
+
+  /**
+   * Checks an update signed by the other party, see {@link PaymentChannel#verifyUpdate}, and makes it
+   * the current state of the channel. The transactions of the update must then be signed (if they
+   * were not already) and kept, see {@link PaymentChannel#declarations}.
+   * @param {{declaration: Transaction, close: Transaction}} update - The update.
+   * @param {string} signer - The ID of the party which signed the update.
+   * @returns {{version: number, balances: {initiator: string, responder: string}}}
+   * @throws {Error} When the update is invalid.
+   */
+  acceptUpdate(update, signer) {
+    let state = this.verifyUpdate(update, signer);
+    this.version = state.version;
+    this.balances = state.balances;
+    this._declarations.push(update.declaration);
+    return state;
+  }
+
+  /**
+   * Builds the final settlement, which closes the channel with the current balances without waiting
+   * for `expiry`. It must be signed by both parties, and it can only be applied while no declaration
+   * has been submitted.
+   * @param {object} [opts]
+   * @param {number} [opts.timeout] - The timeout of the transaction in seconds, defaults to 300.
+   * @returns {Transaction}
+   */
+  settle(opts = {}) {
+    return this._closeBuilder(this.escrowSequence, this.balances)
+      .setTimeout(isUndefined(opts.timeout) ? DEFAULT_TIMEOUT : opts.timeout)
+      .build();
+  }
+
+  /**
+   * @private
+   */
+  _update(version, balances) {
+    let sequence = new BigNumber(this.escrowSequence).add(version - 1).toString();
+    let declaration = new TransactionBuilder(new Account(this.escrow, sequence), this._builderOpts())
+      .addOperation(Operation.setOptions({}))
+      .setTimebounds(0, this.expiry.minus(1).toString())
+      .build();
+
+    return {declaration, close: this._closeTransaction(version, balances)};
+  }
+
+  /**
+   * Builds the close transaction of `version`, which pays the responder balance and merges the rest
+   * into the initiator account.
+   * @private
+   */
+  _closeTransaction(version, balances) {
+    let sequence = new BigNumber(this.escrowSequence).add(version).toString();
+    return this._closeBuilder(sequence, balances)
+      .setTimebounds(this.expiry.toString(), 0)
+      .setTimeout(TimeoutInfinite)
+      .build();
+  }
+
+  /**
+   * @private
+   */
+  _closeBuilder(sequence, balances) {
+    let builder = new TransactionBuilder(new Account(this.escrow, sequence), this._builderOpts());
+    if (new BigNumber(balances.responder).greaterThan(0)) {
+      builder.addOperation(Operation.payment({
+        destination: this.responder,
+        asset: Asset.native(),
+        amount: balances.responder
+      }));
+    }
+    return builder.addOperation(Operation.accountMerge({destination: this.initiator}));
+  }
+
+  /**
+   * @private
+   */
+  _checkBalances(balances) {
+    checkAmount(balances.initiator, "balances.initiator");
+    checkAmount(balances.responder, "balances.responder");
+
+    let total = this._total();
+    if (!new BigNumber(balances.initiator).add(balances.responder).equals(total)) {
+      throw new Error(`balances must add up to ${total}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _total() {
+    return new BigNumber(this.initiatorAmount).add(this.responderAmount).toString();
+  }
+
+  /**
+   * Updates are made until the dispute period starts.
+   * @private
+   */
+  _isOpen() {
+    let now = Math.floor(Date.now() / 1000);
+    return this.expiry.minus(this.disputePeriod).greaterThan(now);
+  }
+
+  /**
+   * @private
+   */
+  _builderOpts() {
+    return {fee: this.fee, networkPassphrase: this.networkPassphrase};
+  }
+}
+
+function checkAmount(value, name) {
+  if (!Operation.isValidAmount(value, true)) {
+    throw new Error(Operation.constructAmountRequirementsError(name));
+  }
+}
+
+function toTimestamp(time) {
+  if (isDate(time)) {
+    return new BigNumber(Math.floor(time.getTime() / 1000));
+  }
+  return new BigNumber(time);
+}
@@ -0,0 +1,98 @@
+import {Account} from "./account";
+import {Operation} from "./operation";
+import {StrKey} from "./strkey";
+import {TransactionBuilder} from "./transaction_builder";
+import BigNumber from 'bignumber.js';
+import isUndefined from "lodash/isUndefined";
+
+/**
+ * `PreAuthTx` wraps a transaction which is pre-authorized by adding its hash as a `preAuthTx` signer
+ * of its source account. Once the signer is added, the transaction can be submitted without any signature.
+ *
+ * The usual escrow workflow is:
+ * ```
+ * // account sequence is N, the future transaction gets N+2
+ * var preAuth = PreAuthTx.build(account, [Operation.accountMerge({destination})], {
+ *   timebounds: {minTime: unlockTime, maxTime: 0},
+ *   timeout: TimeoutInfinite
+ * });
+ * // this transaction gets N+1
+ * var lock = new TransactionBuilder(account).addOperation(preAuth.setOptions()).setTimeout(30).build();
+ * ```
+ *
+ * The hash depends on the network the transaction is for, see {@link Transaction#hash}.
+ *
+ * @constructor
+ * @param {Transaction} transaction - The pre-authorized transaction.
+ */
+export class PreAuthTx {
+  constructor(transaction) {
+    this.transaction = transaction;
+  }
+
+  /**
+   * Builds the future transaction without changing the sequence number of `sourceAccount`.
+   * @param {Account} sourceAccount - The source account of the transaction.
+   * @param {xdr.Operation[]} operations - The operations of the transaction.
+   * @param {object} [opts] - The options of the {@link TransactionBuilder} constructor, plus:
+   * @param {number} [opts.sequenceOffset] - The number of transactions of `sourceAccount` submitted before this one,
+   * defaults to 1 (the transaction adding the signer).
+   * @param {number} [opts.timeout] - Passed to {@link TransactionBuilder#setTimeout}, use `TimeoutInfinite` to
+   * build a transaction without upper time bound.
+   * @returns {PreAuthTx}
+   */
+  static build(sourceAccount, operations, opts = {}) {
+    let sequenceOffset = isUndefined(opts.sequenceOffset) ? 1 : opts.sequenceOffset;
+    if (isNaN(sequenceOffset) || sequenceOffset < 0) {
+      throw new Error("sequenceOffset must be a non-negative number");
+    }
+
+    let sequence = new BigNumber(sourceAccount.sequenceNumber()).add(sequenceOffset);
+    let builder = new TransactionBuilder(new Account(sourceAccount.accountId(), sequence.toString()), opts);
+    operations.forEach(operation => builder.addOperation(operation));
+    if (!isUndefined(opts.timeout)) {
+      builder.setTimeout(opts.timeout);
+    }
+    return new PreAuthTx(builder.build());
+  }
+
+  /**
+   * Returns the hash of the transaction, which is the `preAuthTx` signer key.
+   * @returns {Buffer}
+   */
+  hash() {
+    return this.transaction.hash();
+  }
+
+  /**
+   * Returns the hash of the transaction encoded as a `T...` strkey.
+   * @returns {string}
+   */
+  address() {
+    return StrKey.encodePreAuthTx(this.hash());
+  }
+
+  /**
+   * Returns the signer, in the form used by {@link Operation.setOptions}.
+   * @param {number} [weight] - The weight of the signer, defaults to 1.
+   * @returns {{preAuthTx: Buffer, weight: number}}
+   */
+  signer(weight = 1) {
+    return {preAuthTx: this.hash(), weight};
+  }
+
+  /**
+   * Returns the `setOptions` operation adding the transaction as a signer of its source account.
+   * @param {object} [opts]
+   * @param {number} [opts.weight] - The weight of the signer, defaults to 1. Use 0 to remove the signer.
+   * @param {string} [opts.source] - The source account of the operation, defaults to the transaction source account.
+   * @returns {xdr.Operation}
+   */
+  setOptions(opts = {}) {
+    let weight = isUndefined(opts.weight) ? 1 : opts.weight;
+    return Operation.setOptions({
+      signer: this.signer(weight),
+      source: opts.source || this.transaction.source
+    });
+  }
+}
@@ -0,0 +1,168 @@
+import {Account} from "./account";
+import BigNumber from 'bignumber.js';
+
+const RESERVED = "reserved";
+const COMMITTED = "committed";
+
+/**
+ * `SequenceAllocator` hands out the sequence numbers of one account to several transaction builders.
+ *
+ * A sequence number is first reserved, then either committed once its transaction has been submitted,
+ * or released when the transaction is discarded. Released numbers are handed out again by the next
+ * reservations, so discarding a transaction does not leave a gap which would make the following
+ * transactions fail with `txBAD_SEQ`.
+ *
+ * ```
+ * var allocator = new SequenceAllocator(account);
+ * var source = allocator.reserve();
+ * var transaction = new TransactionBuilder(source).addOperation(operation).setTimeout(30).build();
+ * // ...after the transaction has been submitted
+ * allocator.commit(transaction.sequence);
+ * // ...or when it is discarded
+ * allocator.release(transaction.sequence);
+ * ```
+ *
+ * The allocator can also be used directly as the source account of several {@link TransactionBuilder}s:
+ * each call to `build()` reserves the next sequence number.
+ *
+ * @constructor
+ * @param {Account} account - The account, with its current sequence number.
+ */
+export class SequenceAllocator {
+  constructor(account) {
+    if (!(account instanceof Account)) {
+      throw new Error("account must be an Account");
+    }
+
+    this._accountId = account.accountId();
+    this._sequence = new BigNumber(account.sequenceNumber());
+    this._next = this._sequence.add(1);
+    this._released = [];
+    this._states = {};
+  }
+
+  /**
+   * Returns Stellar account ID.
+   * @returns {string}
+   */
+  accountId() {
+    return this._accountId;
+  }
+
+  /**
+   * Returns the sequence number of the account once all the committed transactions are applied.
+   * @returns {BigNumber}
+   */
+  current() {
+    return new BigNumber(this._sequence);
+  }
+
+  /**
+   * Reserves the next free sequence number.
+   * @returns {Account} An account to build the transaction with, its next sequence number is the reserved one.
+   */
+  reserve() {
+    let sequence = this._peek();
+    if (this._released.length > 0) {
+      this._released.shift();
+    } else {
+      this._next = this._next.add(1);
+    }
+    this._states[sequence.toString()] = RESERVED;
+    return new Account(this._accountId, sequence.minus(1).toString());
+  }
+
+  /**
+   * Marks a reserved sequence number as used by a submitted transaction.
+   * @param {string|number|BigNumber} sequence - The sequence number of the transaction.
+   * @returns {void}
+   */
+  commit(sequence) {
+    let key = this._reservedKey(sequence);
+    this._states[key] = COMMITTED;
+
+    // the account sequence number moves forward over the contiguous committed numbers
+    let next = this._sequence.add(1).toString();
+    while (this._states[next] === COMMITTED) {
+      delete this._states[next];
+      this._sequence = new BigNumber(next);
+      next = this._sequence.add(1).toString();
+    }
+  }
+
+  /**
+   * Gives back a reserved sequence number whose transaction has been discarded.
+   * It is handed out again by the next reservation.
+   * @param {string|number|BigNumber} sequence - The sequence number of the transaction.
+   * @returns {void}
+   */
+  release(sequence) {
+    let key = this._reservedKey(sequence);
+    delete this._states[key];
+
+    this._released.push(new BigNumber(key));
+    this._released.sort((a, b) => a.comparedTo(b));
+
+    // forget the released numbers at the end of the reserved range
+    let last = this._released[this._released.length - 1];
+    while (last && last.equals(this._next.minus(1))) {
+      this._released.pop();
+      this._next = last;
+      last = this._released[this._released.length - 1];
+    }
+  }
+
+  /**
+   * Returns the sequence numbers which are reserved and neither committed nor released.
+   * @returns {string[]}
+   */
+  pending() {
+    return Object.keys(this._states)
+      .filter(key => this._states[key] === RESERVED)
+      .sort((a, b) => new BigNumber(a).comparedTo(b));
+  }
+
+  /**
+   * Forgets all the reservations, for example after reloading the account following a `txBAD_SEQ` error.
+   * @param {string} sequence - The current sequence number of the account.
+   * @returns {void}
+   */
+  reset(sequence) {
+    this._sequence = new BigNumber(sequence);
+    this._next = this._sequence.add(1);
+    this._released = [];
+    this._states = {};
+  }
+
+  /**
+   * Returns the sequence number preceding the next free one, so the allocator can be used as
+   * the source account of a {@link TransactionBuilder}.
+   * @returns {string}
+   */
+  sequenceNumber() {
+    return this._peek().minus(1).toString();
+  }
+
+  /**
+   * Reserves the next free sequence number, called by {@link TransactionBuilder#build}.
+   * @returns {void}
+   */
+  incrementSequenceNumber() {
+    this.reserve();
+  }
+
+  _peek() {
+    return this._released.length > 0 ? this._released[0] : this._next;
+  }
+
+  _reservedKey(sequence) {
+    let key = new BigNumber(sequence).toString();
+    if (this._states[key] === COMMITTED) {
+      throw new Error(`sequence ${key} is already committed`);
+    }
+    if (this._states[key] !== RESERVED) {
+      throw new Error(`sequence ${key} is not reserved`);
+    }
+    return key;
+  }
+}
@@ -4,6 +4,7 @@
 //  native ed25519 package for node.js environments, and if that fails we
 //  fallback to tweetnacl.js
 
+import {preparePublicKey, verifyPrepared} from "./batch_verify";
 
 var actualMethods = {};
 
@@ -22,6 +23,92 @@ export function verify(data, signature, publicKey) {
   return actualMethods.verify(data, signature, publicKey);
 }
 
+/**
+ * Verifies many signatures at once.
+ *
+ * Without the native `ed25519` package, the signatures are verified with a variable-time algorithm
+ * which is about three times faster than calling `verify` for each signature, and shares the work
+ * done on the public keys between the signatures of the same key. It accepts exactly the same
+ * signatures as `verify`. Signatures and public keys with a wrong length are invalid.
+ * @param {Array.<{data: Buffer, signature: Buffer, publicKey: Buffer}>} items Signed data with their signature
+ * and public key
+ * @returns {boolean[]} The verification results, in the order of `items`
+ */
+export function verifyBatch(items) {
+  items = items.map(item => ({
+    data: toBuffer(item.data),
+    signature: toBuffer(item.signature),
+    publicKey: toBuffer(item.publicKey)
+  }));
+
+  if (FastSigning) {
+    return items.map(item => verify(item.data, item.signature, item.publicKey));
+  }
+
+  let keys = {};
+  return items.map(item => {
+    let id = item.publicKey.toString("hex");
+    if (!keys.hasOwnProperty(id)) {
+      keys[id] = preparePublicKey(item.publicKey);
+    }
+    return verifyPrepared(item.data, item.signature, item.publicKey, keys[id]);
+  });
+}
+
+/**
+ * Signs data without blocking the event loop, see {@link signBatchAsync}.
+ * @param {Buffer|string|number[]} data Data to sign
+ * @param {Buffer} secretKey 64-byte ed25519 secret key
+ * @returns {Promise.<Buffer>} The signature, identical to the one returned by `sign`
+ */
+export function signAsync(data, secretKey) {
+  return signBatchAsync([{data, secretKey}]).then(signatures => signatures[0]);
+}
+
+/**
+ * Verifies a signature without blocking the event loop, see {@link verifyBatchAsync}.
+ * @param {Buffer|string|number[]} data Signed data
+ * @param {Buffer} signature Signature
+ * @param {Buffer} publicKey 32-byte ed25519 public key
+ * @returns {Promise.<boolean>}
+ */
+export function verifyAsync(data, signature, publicKey) {
+  return verifyBatchAsync([{data, signature, publicKey}]).then(results => results[0]);
+}
+
+/**
+ * Signs many messages without blocking the event loop.
+ *
+ * The messages are signed by chunks, giving back control to the event loop between chunks. In node,
+ * when the `worker_threads` module is available, `opts.workers` moves the work to worker threads,
+ * which sign with tweetnacl. The signatures are identical to the ones returned by `sign`.
+ * @param {Array.<{data: Buffer, secretKey: Buffer}>} items Data to sign with their secret key
+ * @param {object} [opts]
+ * @param {number} [opts.workers] Number of worker threads to use, defaults to 0 (no worker thread)
+ * @returns {Promise.<Buffer[]>} The signatures, in the order of `items`
+ */
+export function signBatchAsync(items, opts = {}) {
+  items = items.map(item => ({data: toBuffer(item.data), secretKey: toBuffer(item.secretKey)}));
+  return runBatch("sign", items, opts);
+}
+
+/**
+ * Verifies many signatures without blocking the event loop, see {@link signBatchAsync}.
+ * @param {Array.<{data: Buffer, signature: Buffer, publicKey: Buffer}>} items Signed data with their signature
+ * and public key
+ * @param {object} [opts]
+ * @param {number} [opts.workers] Number of worker threads to use, defaults to 0 (no worker thread)
+ * @returns {Promise.<boolean[]>} The verification results, in the order of `items`
+ */
+export function verifyBatchAsync(items, opts = {}) {
+  items = items.map(item => ({
+    data: toBuffer(item.data),
+    signature: toBuffer(item.signature),
+    publicKey: toBuffer(item.publicKey)
+  }));
+  return runBatch("verify", items, opts);
+}
+
 function checkFastSigning() {
   var ed25519Used;
   // if in node
@@ -82,3 +169,95 @@ function checkFastSigning() {
 
   return ed25519Used;
 }
+
+// Number of items processed before giving back control to the event loop
+const CHUNK_SIZE = 64;
+
+// Runs in a worker thread created by `runInWorkers`, only tweetnacl is loaded there.
+// As in `verifyBatch`, signatures and public keys with a wrong length are invalid (tweetnacl throws on them).
+const WORKER_SOURCE = `
+  const {parentPort, workerData} = require("worker_threads");
+  const nacl = require(workerData.nacl);
+  parentPort.postMessage(workerData.items.map(item => workerData.op === "sign" ?
+    nacl.sign.detached(item.data, item.secretKey) :
+    item.signature.length === nacl.sign.signatureLength &&
+      item.publicKey.length === nacl.sign.publicKeyLength &&
+      nacl.sign.detached.verify(item.data, item.signature, item.publicKey)));
+`;
+
+function runBatch(op, items, opts) {
+  let workerThreads = opts.workers > 0 ? loadWorkerThreads() : null;
+  if (workerThreads && items.length > 0) {
+    return runInWorkers(workerThreads, op, items, opts.workers);
+  }
+  return runInChunks(op, items);
+}
+
+function runInChunks(op, items) {
+  let results = [];
+  return new Promise((resolve, reject) => {
+    let next = () => {
+      try {
+        let chunk = items.slice(results.length, results.length + CHUNK_SIZE);
+        if (op === "sign") {
+          chunk.forEach(item => results.push(sign(item.data, item.secretKey)));
+        } else {
+          results.push(...verifyBatch(chunk));
+        }
+      } catch (err) {
+        return reject(err);
+      }
+
+      if (results.length < items.length) {
+        defer(next);
+      } else {
+        resolve(results);
+      }
+    };
+    defer(next);
+  });
+}
+
+function runInWorkers(workerThreads, op, items, workers) {
+  let size = Math.ceil(items.length / workers);
+  let chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+
+  let nacl = require.resolve("tweetnacl");
+  return Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+    let worker = new workerThreads.Worker(WORKER_SOURCE, {eval: true, workerData: {nacl, op, items: chunk}});
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    // does nothing once the worker has posted its results
+    worker.once("exit", code => reject(new Error(`Worker stopped with exit code ${code} before returning results`)));
+  }))).then(parts => {
+    let results = [].concat(...parts);
+    return op === "sign" ? results.map(signature => new Buffer(signature)) : results;
+  });
+}
+
+function loadWorkerThreads() {
+  if (typeof window !== 'undefined') {
+    return null;
+  }
+  try {
+    return require("worker_threads");
+  } catch (err) {
+    // node < 10.5, or node 10 without --experimental-worker
+    return null;
+  }
+}
+
+function defer(fn) {
+  if (typeof setImmediate === 'function') {
+    setImmediate(fn);
+  } else {
+    setTimeout(fn, 0);
+  }
+}
+
+function toBuffer(value) {
+  return Buffer.isBuffer(value) ? value : new Buffer(value);
+}
@@ -0,0 +1,162 @@
+import {signatureMatches} from "./util/signer";
+import each from "lodash/each";
+import find from "lodash/find";
+import isNil from "lodash/isNil";
+import isString from "lodash/isString";
+import map from "lodash/map";
+import some from "lodash/some";
+
+const LOW_THRESHOLD_OPERATIONS  = ["allowTrust", "inflation"];
+const HIGH_THRESHOLD_OPERATIONS = ["accountMerge"];
+
+/**
+ * `ThresholdEvaluator` checks whether the signatures of a {@link Transaction} meet the
+ * thresholds of its source accounts, following the rules of stellar-core:
+ *
+ * * the transaction source account must reach its low threshold (fee and sequence number),
+ * * every operation source account must reach the threshold required by the operation:
+ *   `allowTrust` and `inflation` need the low threshold, `accountMerge` and `setOptions`
+ *   changing weights, thresholds or signers need the high threshold, all other operations need the medium threshold,
+ * * the master key (with `masterWeight`) and the account signers contribute their weight
+ *   when a signature matches them, each signer counts once,
+ * * `preAuthTx` signers match when their hash is the hash of the transaction, `sha256Hash` (hashX) signers
+ *   match when one of the signatures is the preimage of their hash, `ed25519PublicKey` signers match valid signatures,
+ * * a threshold of 0 still requires a signer with non-zero weight.
+ *
+ * The transaction hash depends on the network: the `networkPassphrase` of the transaction is used,
+ * `Network.current()` only when the transaction has none (see {@link Transaction#hash}).
+ *
+ * @class ThresholdEvaluator
+ */
+export class ThresholdEvaluator {
+  /**
+   * Evaluates the signatures of the transaction against the given source accounts.
+   *
+   * The returned object contains:
+   * * `authorized` - `true` when the transaction and all operations are authorized,
+   * * `transaction` - the check of the transaction source account,
+   * * `operations` - the check of every operation, in order (with `index` and `type`),
+   * * `unusedSignatures` - signatures which did not match any signer, stellar-core rejects such transactions.
+   *
+   * Every check has the form `{accountId, threshold, required, weight, missingWeight, signers, authorized}`,
+   * where `threshold` is `low`, `medium` or `high` and `signers` lists the signers which contributed,
+   * in the form used by {@link Operation.setOptions}.
+   *
+   * @param {Transaction} transaction - The transaction to evaluate.
+   * @param {Array.<AccountEntry|object>} accounts - Every source account, with `accountId`, `masterWeight`,
+   *   `lowThreshold`, `medThreshold`, `highThreshold` and `signers` as in {@link AccountEntry}.
+   * @param {xdr.DecoratedSignature[]} [signatures] - The signatures, defaults to `transaction.signatures`.
+   * @returns {object}
+   */
+  static evaluate(transaction, accounts, signatures) {
+    signatures = signatures || transaction.signatures;
+    let txHash = transaction.hash();
+    let used = [];
+
+    let check = (accountId, threshold) => {
+      let account = find(accounts, a => a.accountId === accountId);
+      if (!account) {
+        throw new Error(`Missing account: ${accountId}`);
+      }
+      return this._checkAccount(account, threshold, txHash, signatures, used);
+    };
+
+    let result = {};
+    result.transaction = check(transaction.source, "low");
+    result.operations = map(transaction.operations, (operation, index) => {
+      let opCheck = check(operation.source || transaction.source, this.operationThreshold(operation));
+      opCheck.index = index;
+      opCheck.type = operation.type;
+      return opCheck;
+    });
+    result.unusedSignatures = signatures.filter((s, i) => used.indexOf(i) === -1);
+    result.authorized = result.transaction.authorized && !some(result.operations, op => !op.authorized);
+    return result;
+  }
+
+  /**
+   * Returns the threshold level (`low`, `medium` or `high`) required by the operation.
+   * @param {object} operation - An operation object, as returned by {@link Operation.fromXDRObject}.
+   * @returns {string}
+   */
+  static operationThreshold(operation) {
+    if (LOW_THRESHOLD_OPERATIONS.indexOf(operation.type) !== -1) {
+      return "low";
+    }
+
+    if (HIGH_THRESHOLD_OPERATIONS.indexOf(operation.type) !== -1) {
+      return "high";
+    }
+
+    if (operation.type === "setOptions") {
+      let fields = ["masterWeight", "lowThreshold", "medThreshold", "highThreshold", "signer"];
+      if (some(fields, field => !isNil(operation[field]))) {
+        return "high";
+      }
+    }
+
+    return "medium";
+  }
+
+  /**
+   * @private
+   */
+  static _checkAccount(account, threshold, txHash, signatures, used) {
+    let required = {
+      low: account.lowThreshold,
+      medium: account.medThreshold,
+      high: account.highThreshold
+    }[threshold] || 0;
+
+    let signers = [];
+    if (account.masterWeight > 0) {
+      signers.push({ed25519PublicKey: account.accountId, weight: account.masterWeight});
+    }
+    each(account.signers, signer => {
+      if (signer.weight > 0) {
+        signers.push(signer);
+      }
+    });
+
+    let contributed = [];
+    each(signers, signer => {
+      let matched = false;
+
+      if (signer.preAuthTx) {
+        matched = toBuffer(signer.preAuthTx).equals(txHash);
+      } else {
+        each(signatures, (signature, i) => {
+          if (signatureMatches(signer, signature, txHash)) {
+            matched = true;
+            if (used.indexOf(i) === -1) {
+              used.push(i);
+            }
+            return false;
+          }
+        });
+      }
+
+      if (matched) {
+        contributed.push(signer);
+      }
+    });
+
+    let weight = contributed.reduce((sum, signer) => sum + Math.min(signer.weight, 255), 0);
+    return {
+      accountId: account.accountId,
+      threshold,
+      required,
+      weight,
+      missingWeight: Math.max(Math.max(required, 1) - weight, 0),
+      signers: contributed,
+      authorized: weight >= Math.max(required, 1)
+    };
+  }
+}
+
+function toBuffer(value) {
+  if (isString(value)) {
+    return Buffer.from(value, "hex");
+  }
+  return value;
+}
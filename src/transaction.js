@@ -1,11 +1,14 @@
 import {xdr, hash} from "./index";
 
 import {StrKey} from "./strkey";
+import {Keypair} from "./keypair";
 import {Operation} from "./operation";
 import {Network} from "./network";
 import {Memo} from "./memo";
+import {signerHint, signerVerifies} from "./util/signer";
 import map from "lodash/map";
 import each from "lodash/each";
+import find from "lodash/find";
 import isString from 'lodash/isString';
 import crypto from "crypto";
 
@@ -15,13 +18,18 @@ let MAX_LEDGER   = 0xFFFFFFFF; // max uint32
 /**
  * A new Transaction object is created from a transaction envelope or via {@link TransactionBuilder}.
  * Once a Transaction has been created from an envelope, its attributes and operations
- * should not be changed. You should only add signers (using {@link Transaction#sign}) to a Transaction object before
- * submitting to the network or forwarding on to additional signers.
+ * should not be changed. You should only add signers (using {@link Transaction#sign} or {@link Transaction#signWith})
+ * to a Transaction object before submitting to the network or forwarding on to additional signers.
+ *
+ * The network passphrase is used to hash and sign the transaction. When it is not given,
+ * the network selected with {@link Network.use} is used.
  * @constructor
- * @param {string|xdr.TransactionEnvelope} envelope - The transaction envelope object or base64 encoded string.
+ * @param {string|xdr.TransactionEnvelope} envelope - The transaction envelope object or base64 encoded string
+ * (see {@link Transaction#toXDR}).
+ * @param {string} [networkPassphrase] - The passphrase of the network this transaction is for (ex. `Networks.TESTNET`).
  */
 export class Transaction {
-  constructor(envelope) {
+  constructor(envelope, networkPassphrase) {
     if (typeof envelope === "string") {
       let buffer = new Buffer(envelope, "base64");
       envelope = xdr.TransactionEnvelope.fromXDR(buffer);
@@ -48,6 +56,8 @@ export class Transaction {
 
     let signatures = envelope.signatures() || [];
     this.signatures = map(signatures, s => s);
+
+    this.networkPassphrase = networkPassphrase;
   }
 
   get memo() {
@@ -71,6 +81,40 @@ export class Transaction {
     });
   }
 
+  /**
+   * Signs the transaction with signers which keep their secret key elsewhere, like HSMs,
+   * remote signing services or hardware wallets.
+   *
+   * A signer is an object with:
+   * * `publicKey()` - returns the public key of the signer (`G...`),
+   * * `sign(hash)` - returns the ed25519 signature of the transaction hash (a Buffer), or a promise of it.
+   *
+   * A {@link Keypair} with a secret key is also a signer. The signatures are verified before they are added,
+   * in the order of the signers, once all the signers have signed.
+   * @param {...object} signers Signers
+   * @returns {Promise.<Transaction>} This transaction, once signed
+   */
+  signWith(...signers) {
+    let txHash = this.hash();
+    return Promise.all(map(signers, signer => Promise.resolve().then(() => {
+      if (!signer || typeof signer.publicKey !== "function" || typeof signer.sign !== "function") {
+        throw new Error("signer must have publicKey() and sign(hash) methods");
+      }
+      return signer.sign(txHash);
+    }))).then(signatures => {
+      let decorated = map(signatures, (signature, i) => {
+        let keypair = Keypair.fromPublicKey(signers[i].publicKey());
+        signature = new Buffer(signature);
+        if (signature.length !== 64 || !keypair.verify(txHash, signature)) {
+          throw new Error(`Invalid signature from signer ${keypair.publicKey()}`);
+        }
+        return new xdr.DecoratedSignature({hint: keypair.signatureHint(), signature});
+      });
+      this.signatures.push(...decorated);
+      return this;
+    });
+  }
+
   /**
    * Add `hashX` signer preimage as signature.
    * @param {Buffer|String} preimage Preimage of hash used as signer
@@ -91,6 +135,49 @@ export class Transaction {
     this.signatures.push(new xdr.DecoratedSignature({hint, signature}));
   }
 
+  /**
+   * Verifies the signatures of the transaction against the candidate signers.
+   *
+   * Each signature is matched to candidates by its 4-byte hint, then ed25519 signatures are verified
+   * against {@link Transaction#hash} and hashX signatures are checked to be the preimage of the signer hash.
+   *
+   * The returned object contains:
+   * * `valid` - `{signature, signer}` for signatures verified by one of the candidates,
+   * * `invalid` - `{signature, signer}` for signatures whose hint matches a candidate which does not verify them,
+   * * `unmatched` - signatures whose hint does not match any candidate.
+   *
+   * Signers are returned in the form used by {@link Operation.setOptions}.
+   *
+   * @param {Array.<Keypair|string|object>} candidateSigners - Keypairs, public keys (`G...`), hashX
+   *   signers (`X...`) or objects with one of `ed25519PublicKey` or `sha256Hash` (Buffer or hex string).
+   * @returns {{valid: object[], invalid: object[], unmatched: xdr.DecoratedSignature[]}}
+   */
+  verifySignatures(candidateSigners) {
+    let txHash = this.hash();
+    let candidates = map(candidateSigners, candidate => {
+      let signer = toSignerKey(candidate);
+      signer.hint = signerHint(signer);
+      return signer;
+    });
+
+    let result = {valid: [], invalid: [], unmatched: []};
+    each(this.signatures, signature => {
+      let matching = candidates.filter(c => c.hint.equals(signature.hint()));
+      if (matching.length === 0) {
+        result.unmatched.push(signature);
+        return;
+      }
+
+      let verified = find(matching, c => signerVerifies(c, signature.signature(), txHash));
+      if (verified) {
+        result.valid.push({signature, signer: verified.key});
+      } else {
+        result.invalid.push({signature, signer: matching[0].key});
+      }
+    });
+    return result;
+  }
+
   /**
    * Returns a hash for this transaction, suitable for signing.
    * @returns {Buffer}
@@ -109,12 +196,13 @@ export class Transaction {
    * @returns {Buffer}
    */
   signatureBase() {
-    if (Network.current() === null) {
-      throw new Error("No network selected. Use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
+    let network = this.networkPassphrase ? new Network(this.networkPassphrase) : Network.current();
+    if (network === null) {
+      throw new Error("No network selected. Pass a network passphrase or use `Network.use`, `Network.usePublicNetwork` or `Network.useTestNetwork` helper methods to select network.");
     }
 
     return Buffer.concat([
-      Network.current().networkId(),
+      network.networkId(),
       xdr.EnvelopeType.envelopeTypeTx().toXDR(),
       this.tx.toXDR()
     ]);
@@ -131,4 +219,93 @@ export class Transaction {
 
     return envelope;
   }
+
+  /**
+   * Returns the transaction envelope encoded in the given format, the reverse of {@link Transaction.fromXDR}.
+   * @param {string} [format] - `base64` (default), `hex` or `raw` (Buffer).
+   * @returns {string|Buffer}
+   */
+  toXDR(format = "base64") {
+    return this.toEnvelope().toXDR(format);
+  }
+
+  /**
+   * Creates a Transaction from a transaction envelope.
+   * @param {string|Buffer|xdr.TransactionEnvelope} envelope - The envelope object, base64 encoded string or raw Buffer.
+   * @param {string} [networkPassphrase] - The passphrase of the network the transaction is for.
+   * @returns {Transaction}
+   */
+  static fromXDR(envelope, networkPassphrase) {
+    if (Buffer.isBuffer(envelope)) {
+      envelope = xdr.TransactionEnvelope.fromXDR(envelope);
+    }
+    return new Transaction(envelope, networkPassphrase);
+  }
+
+  /**
+   * Returns a plain object which can be stored as JSON and loaded back with {@link Transaction.fromJSON}.
+   * @returns {{envelope: string, networkPassphrase: (string|undefined)}}
+   */
+  toJSON() {
+    return {
+      envelope: this.toXDR(),
+      networkPassphrase: this.networkPassphrase
+    };
+  }
+
+  /**
+   * Creates a Transaction from an object returned by {@link Transaction#toJSON} or its JSON string.
+   * @param {object|string} json - The object or JSON string.
+   * @returns {Transaction}
+   */
+  static fromJSON(json) {
+    if (isString(json)) {
+      json = JSON.parse(json);
+    }
+    return this.fromXDR(json.envelope, json.networkPassphrase);
+  }
+
+  /**
+   * Compares the envelopes of both transactions: they are equal when their XDR encoded
+   * transactions and signatures (in order) are the same. The network passphrase is not compared.
+   * @param {Transaction} other - The transaction to compare with.
+   * @returns {boolean}
+   */
+  equals(other) {
+    if (!(other instanceof Transaction)) {
+      return false;
+    }
+    return this.toXDR("raw").equals(other.toXDR("raw"));
+  }
+}
+
+function toSignerKey(signer) {
+  if (signer instanceof Keypair) {
+    signer = signer.publicKey();
+  }
+
+  if (isString(signer)) {
+    if (StrKey.isValidEd25519PublicKey(signer)) {
+      signer = {ed25519PublicKey: signer};
+    } else {
+      signer = {sha256Hash: StrKey.decodeSha256Hash(signer)};
+    }
+  }
+
+  if (signer && signer.ed25519PublicKey) {
+    if (!StrKey.isValidEd25519PublicKey(signer.ed25519PublicKey)) {
+      throw new Error("signer.ed25519PublicKey is invalid.");
+    }
+    return {key: {ed25519PublicKey: signer.ed25519PublicKey}, ed25519PublicKey: signer.ed25519PublicKey};
+  }
+
+  if (signer && signer.sha256Hash) {
+    let sha256Hash = isString(signer.sha256Hash) ? Buffer.from(signer.sha256Hash, "hex") : signer.sha256Hash;
+    if (!(Buffer.isBuffer(sha256Hash) && sha256Hash.length == 32)) {
+      throw new Error("signer.sha256Hash must be 32 bytes Buffer.");
+    }
+    return {key: {sha256Hash}, sha256Hash};
+  }
+
+  throw new Error("Signer must be a Keypair, a public key, a sha256 hash or an object with ed25519PublicKey or sha256Hash.");
 }
@@ -6,14 +6,27 @@ import {Account} from "./account";
 import {Operation} from "./operation";
 import {Transaction} from "./transaction";
 import {Memo} from "./memo";
+import {BASE_FEE, FeeStrategy} from "./fee_strategy";
 import BigNumber from 'bignumber.js';
-import clone from "lodash/clone";
 import map from "lodash/map";
 import isUndefined from "lodash/isUndefined";
+import isDate from "lodash/isDate";
+import isNumber from "lodash/isNumber";
+import isString from "lodash/isString";
+import isArray from "lodash/isArray";
+import isInteger from "lodash/isInteger";
 
-let BASE_FEE     = 100; // Stroops
 let MIN_LEDGER   = 0;
 let MAX_LEDGER   = 0xFFFFFFFF; // max uint32
+let MAX_TIME     = "18446744073709551615"; // max uint64
+let MAX_OPERATIONS = 100;
+
+/**
+ * Pass `TimeoutInfinite` to {@link TransactionBuilder#setTimeout} to build a transaction
+ * without an upper time bound.
+ * @constant
+ */
+export const TimeoutInfinite = 0;
 
 /**
  * <p>Transaction builder helps constructs a new `{@link Transaction}` using the given {@link Account}
@@ -44,18 +57,25 @@ let MAX_LEDGER   = 0xFFFFFFFF; // max uint32
         amount: "100"
         asset: Asset.native()
     }) // <- sends 100 XLM to destinationB
+ *   .setTimeout(30) // <- valid for 30 seconds
  *   .build();
  *
  * transaction.sign(sourceKeypair);
  * ```
  * @constructor
- * @param {Account} sourceAccount - The source account for this transaction.
+ * @param {Account|SequenceAllocator} sourceAccount - The source account for this transaction, its sequence number is
+ * incremented by {@link TransactionBuilder#build}. Use a {@link SequenceAllocator} to share it between several builders.
  * @param {object} [opts]
- * @param {number} [opts.fee] - The max fee willing to pay per operation in this transaction (**in stroops**).
- * @param {object} [opts.timebounds] - The timebounds for the validity of this transaction.
- * @param {number|string} [opts.timebounds.minTime] - 64 bit unix timestamp
- * @param {number|string} [opts.timebounds.maxTime] - 64 bit unix timestamp
+ * @param {number|string|function} [opts.fee] - The max fee willing to pay per operation in this transaction (**in stroops**)
+ * or a fee strategy, see {@link FeeStrategy}.
+ * @param {object} [opts.timebounds] - The timebounds for the validity of this transaction, see {@link TransactionBuilder#setTimebounds}.
+ * @param {number|string|Date} [opts.timebounds.minTime] - 64 bit unix timestamp
+ * @param {number|string|Date} [opts.timebounds.maxTime] - 64 bit unix timestamp
  * @param {Memo} [opts.memo] - The memo for the transaction
+ * @param {string} [opts.networkPassphrase] - The passphrase of the network the transaction is for,
+ * defaults to the network selected with {@link Network.use} when signing.
+ * @param {boolean} [opts.strict] - When `true`, {@link TransactionBuilder#build} also refuses transactions with
+ * the likely mistakes reported by {@link TransactionBuilder#validate} in strict mode.
  */
 export class TransactionBuilder {
   constructor(sourceAccount, opts={}) {
@@ -64,12 +84,19 @@ export class TransactionBuilder {
     }
     this.source     = sourceAccount;
     this.operations = [];
-    this.baseFee    = (isUndefined(opts.fee) ? BASE_FEE : opts.fee);
-    this.timebounds = clone(opts.timebounds);
+    this.feeStrategy = FeeStrategy.from(isUndefined(opts.fee) ? BASE_FEE : opts.fee);
+    this.timebounds = null;
+    this.timeoutSet = false;
     this.memo       = opts.memo || Memo.none();
+    this.networkPassphrase = opts.networkPassphrase;
+    this.strict     = !!opts.strict;
 
-    // the signed base64 form of the transaction to be sent to Horizon
+    // the base64 form of the last built transaction, before it is signed
     this.blob = null;
+
+    if (opts.timebounds) {
+      this.setTimebounds(opts.timebounds.minTime, opts.timebounds.maxTime);
+    }
   }
 
   /**
@@ -82,6 +109,19 @@ export class TransactionBuilder {
     return this;
   }
 
+  /**
+   * Removes the operation at the given index.
+   * @param {number} index - The index of the operation to remove.
+   * @returns {TransactionBuilder}
+   */
+  removeOperation(index) {
+    if (!(index >= 0 && index < this.operations.length)) {
+      throw new Error("index is out of range");
+    }
+    this.operations.splice(index, 1);
+    return this;
+  }
+
   /**
    * Adds a memo to the transaction.
    * @param {Memo} memo {@link Memo} object
@@ -92,36 +132,292 @@ export class TransactionBuilder {
     return this;
   }
 
+  /**
+   * Sets the fee of the transaction.
+   * @param {number|string|function} fee - The fee per operation (**in stroops**) or a fee strategy, see {@link FeeStrategy}.
+   * @returns {TransactionBuilder}
+   */
+  setFee(fee) {
+    this.feeStrategy = FeeStrategy.from(fee);
+    return this;
+  }
+
+  /**
+   * Sets the timebounds of the transaction. A `maxTime` of 0 means the transaction has no upper
+   * time bound, {@link TransactionBuilder#build} will then require a call to `setTimeout(TimeoutInfinite)`.
+   * @param {number|string|Date} minTime - The earliest time the transaction is valid, as a `Date` or unix timestamp in seconds.
+   * @param {number|string|Date} maxTime - The latest time the transaction is valid, as a `Date` or unix timestamp in seconds.
+   * @returns {TransactionBuilder}
+   */
+  setTimebounds(minTime, maxTime) {
+    minTime = this._toTimestamp("minTime", minTime);
+    maxTime = this._toTimestamp("maxTime", maxTime);
+
+    if (!maxTime.isZero() && minTime.greaterThan(maxTime)) {
+      throw new Error("minTime cannot be greater than maxTime");
+    }
+
+    this.timebounds = {minTime: minTime.toString(), maxTime: maxTime.toString()};
+    return this;
+  }
+
+  /**
+   * Sets the transaction to expire `timeout` seconds from now, keeping the minimum time already set.
+   * Use `TimeoutInfinite` to explicitly build a transaction without an upper time bound.
+   * @param {number} timeout - Number of seconds the transaction is valid for, or `TimeoutInfinite`.
+   * @returns {TransactionBuilder}
+   */
+  setTimeout(timeout) {
+    if (this.timebounds && this.timebounds.maxTime !== "0") {
+      throw new Error("TimeBounds.maxTime has been already set - setting timeout would overwrite it.");
+    }
+
+    if (!(isNumber(timeout) && timeout >= 0)) {
+      throw new Error("timeout must be a non-negative number of seconds");
+    }
+
+    this.timeoutSet = true;
+    if (timeout > 0) {
+      let minTime = this.timebounds ? this.timebounds.minTime : 0;
+      let maxTime = Math.floor(Date.now() / 1000) + timeout;
+      this.setTimebounds(minTime, maxTime);
+    }
+    return this;
+  }
+
   /**
    * This will build the transaction.
    * It will also increment the source account's sequence number by 1.
+   * The transaction must have an upper time bound (see {@link TransactionBuilder#setTimeout} and
+   * {@link TransactionBuilder#setTimebounds}) unless `setTimeout(TimeoutInfinite)` has been called.
+   * The transaction must also pass {@link TransactionBuilder#validate}, otherwise the thrown error
+   * contains the list of problems in its `errors` field.
    * @returns {Transaction} This method will return the built {@link Transaction}.
    */
   build() {
+    let fee = this._check();
     let sequenceNumber = new BigNumber(this.source.sequenceNumber()).add(1);
 
     var attrs = {
       sourceAccount: Keypair.fromPublicKey(this.source.accountId()).xdrAccountId(),
-      fee:           this.baseFee * this.operations.length,
+      fee,
       seqNum:        xdr.SequenceNumber.fromString(sequenceNumber.toString()),
       memo:          this.memo ? this.memo.toXDRObject() : null,
       ext:           new xdr.TransactionExt(0)
     };
 
     if (this.timebounds) {
-      this.timebounds.minTime = UnsignedHyper.fromString(this.timebounds.minTime.toString());
-      this.timebounds.maxTime = UnsignedHyper.fromString(this.timebounds.maxTime.toString());
-      attrs.timeBounds = new xdr.TimeBounds(this.timebounds);
+      attrs.timeBounds = new xdr.TimeBounds({
+        minTime: UnsignedHyper.fromString(this.timebounds.minTime),
+        maxTime: UnsignedHyper.fromString(this.timebounds.maxTime)
+      });
     }
 
     let xtx = new xdr.Transaction(attrs);
     xtx.operations(this.operations);
 
     let xenv = new xdr.TransactionEnvelope({tx:xtx});
-    let tx = new Transaction(xenv);
+    let tx = new Transaction(xenv, this.networkPassphrase);
 
     this.source.incrementSequenceNumber();
-    
+    this.blob = tx.toXDR();
+
     return tx;
   }
+
+  /**
+   * Creates a builder loaded with the source, sequence number, fee, timebounds, memo, operations and
+   * network passphrase of an existing transaction, so it can be modified and built again.
+   * The built transaction has no signatures and the same sequence number as `transaction`.
+   *
+   * The fee per operation is kept when the fee is a multiple of the number of operations,
+   * otherwise the total fee is kept.
+   * @param {Transaction} transaction - The transaction to load.
+   * @param {object} [opts]
+   * @param {boolean} [opts.strict] - See the {@link TransactionBuilder} constructor.
+   * @returns {TransactionBuilder}
+   */
+  static fromTransaction(transaction, opts = {}) {
+    let sequence = new BigNumber(transaction.sequence).sub(1);
+    let operations = transaction.tx.operations();
+
+    let fee = transaction.fee;
+    if (operations.length > 0 && fee % operations.length === 0) {
+      fee = FeeStrategy.perOperation(fee / operations.length);
+    } else {
+      fee = FeeStrategy.fixed(fee);
+    }
+
+    let builder = new TransactionBuilder(new Account(transaction.source, sequence.toString()), {
+      fee,
+      memo: transaction.memo,
+      networkPassphrase: transaction.networkPassphrase,
+      strict: opts.strict
+    });
+    operations.forEach(operation => builder.addOperation(operation));
+
+    if (transaction.timeBounds) {
+      builder.setTimebounds(transaction.timeBounds.minTime, transaction.timeBounds.maxTime);
+    }
+    if (!transaction.timeBounds || transaction.timeBounds.maxTime === "0") {
+      builder.setTimeout(TimeoutInfinite);
+    }
+    return builder;
+  }
+
+  /**
+   * Splits a list of operations into as many transactions as needed, in order, each with at most
+   * `opts.maxOperations` operations. The transactions use consecutive sequence numbers of
+   * `sourceAccount`, which is incremented once per transaction.
+   *
+   * Operations which must stay in the same transaction can be grouped in an array:
+   * ```
+   * var transactions = TransactionBuilder.batch(source, [payment1, [changeTrust, payment2], payment3], {timeout: 60});
+   * ```
+   * @param {Account} sourceAccount - The source account of the transactions.
+   * @param {Array.<xdr.Operation|xdr.Operation[]>} operations - The operations and groups of operations.
+   * @param {object} [opts] - The options of the {@link TransactionBuilder} constructor, plus:
+   * @param {number} [opts.maxOperations] - The maximum number of operations per transaction, 100 by default.
+   * @param {number} [opts.timeout] - Passed to {@link TransactionBuilder#setTimeout} for every transaction.
+   * @returns {Transaction[]}
+   */
+  static batch(sourceAccount, operations, opts = {}) {
+    let maxOperations = isUndefined(opts.maxOperations) ? MAX_OPERATIONS : opts.maxOperations;
+    if (!(isInteger(maxOperations) && maxOperations > 0 && maxOperations <= MAX_OPERATIONS)) {
+      throw new Error(`maxOperations must be an integer between 1 and ${MAX_OPERATIONS}`);
+    }
+
+    let chunks = [];
+    let current = [];
+    operations.forEach(item => {
+      let group = isArray(item) ? item : [item];
+      if (group.length > maxOperations) {
+        throw new Error(`operation group cannot contain more than ${maxOperations} operations`);
+      }
+      if (current.length + group.length > maxOperations) {
+        chunks.push(current);
+        current = [];
+      }
+      current = current.concat(group);
+    });
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    let builders = map(chunks, chunk => {
+      let builder = new TransactionBuilder(sourceAccount, opts);
+      chunk.forEach(operation => builder.addOperation(operation));
+      if (!isUndefined(opts.timeout)) {
+        builder.setTimeout(opts.timeout);
+      }
+      return builder;
+    });
+
+    // check every transaction before the sequence number of the account is incremented
+    builders.forEach(builder => builder._check());
+
+    return map(builders, builder => builder.build());
+  }
+
+  /**
+   * Checks the transaction being built against the structural limits of the network protocol:
+   * * `missingOperation` - the transaction has no operations,
+   * * `tooManyOperations` - the transaction has more than 100 operations.
+   *
+   * In strict mode, it also reports likely mistakes:
+   * * `duplicateDataName` - a `manageData` operation sets the same entry as a previous one, which it overwrites,
+   * * `mergedAccountSource` - an operation has the source account merged by a previous `accountMerge`.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.strict] - Also report likely mistakes.
+   * @returns {Array.<{index: ?number, code: string, message: string}>} The problems found, `index` is the
+   * index of the operation or `null` for the whole transaction.
+   */
+  validate(opts = {}) {
+    let errors = [];
+    let addError = (index, code, message) => errors.push({index, code, message});
+
+    if (this.operations.length === 0) {
+      addError(null, "missingOperation", "transaction must contain at least one operation");
+    }
+
+    if (this.operations.length > MAX_OPERATIONS) {
+      addError(null, "tooManyOperations", `transaction must contain at most ${MAX_OPERATIONS} operations`);
+    }
+
+    if (!opts.strict) {
+      return errors;
+    }
+
+    let merged = [];
+    let dataNames = [];
+    this.operations.forEach((operation, index) => {
+      let op = Operation.fromXDRObject(operation);
+      let source = op.source || this.source.accountId();
+
+      if (merged.indexOf(source) !== -1) {
+        addError(index, "mergedAccountSource", `operation ${index} source account ${source} is merged by a previous operation`);
+      }
+
+      switch (op.type) {
+        case "accountMerge":
+        merged.push(source);
+        break;
+        case "manageData":
+        let key = `${source}/${op.name}`;
+        if (dataNames.indexOf(key) !== -1) {
+          addError(index, "duplicateDataName", `operation ${index} overwrites data entry "${op.name}" set by a previous operation`);
+        }
+        dataNames.push(key);
+        break;
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Runs the checks of {@link TransactionBuilder#build} and returns the fee of the transaction.
+   * @private
+   */
+  _check() {
+    this._assertValid();
+
+    if (!this.timeoutSet && !(this.timebounds && this.timebounds.maxTime !== "0")) {
+      throw new Error("TimeBounds has to be set or you must call setTimeout(TimeoutInfinite).");
+    }
+
+    return FeeStrategy.compute(this.feeStrategy, this.operations);
+  }
+
+  /**
+   * @private
+   */
+  _assertValid() {
+    let errors = this.validate({strict: this.strict});
+    if (errors.length > 0) {
+      let error = new Error(`Invalid transaction: ${map(errors, e => e.message).join(", ")}`);
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toTimestamp(name, value) {
+    if (isDate(value)) {
+      value = Math.floor(value.getTime() / 1000);
+    }
+
+    let timestamp;
+    if ((isNumber(value) || isString(value)) && /^\d+$/.test(value.toString())) {
+      timestamp = new BigNumber(value.toString());
+    }
+
+    if (!timestamp || timestamp.greaterThan(MAX_TIME)) {
+      throw new Error(`${name} must be a Date or a unix timestamp between 0 and ${MAX_TIME}`);
+    }
+    return timestamp;
+  }
 }
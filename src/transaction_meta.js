@@ -0,0 +1,116 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {LedgerEntry} from "./ledger_entry";
+import {LedgerKey} from "./ledger_key";
+import each from "lodash/each";
+
+// `xdr.LedgerEntryType` names `DATA` entries `datum`
+const ENTRY_TYPES = {
+  account: "account",
+  trustline: "trustline",
+  offer: "offer",
+  datum: "data"
+};
+
+/**
+ * `TransactionMeta` decodes the metadata produced when a transaction is applied to the
+ * ledger (the `result_meta_xdr` field in Horizon) into a flat list of ledger entry changes.
+ *
+ * Every change in `changes` is an object with the following fields:
+ * * `operationIndex` - index of the operation that caused the change
+ * * `changeType` - `created`, `updated`, `removed` or `state` (entry state without a following change)
+ * * `entryType` - `account`, `trustline`, `offer` or `data`
+ * * `key` - fields identifying the ledger entry (ex. `{accountId}` for accounts)
+ * * `before` - the entry before the change or `null` when it is not known
+ * * `after` - the entry after the change or `null` when it was removed
+ *
+ * @constructor
+ * @param {string|xdr.TransactionMeta} meta - The transaction meta object or base64 encoded string.
+ */
+export class TransactionMeta {
+  constructor(meta) {
+    if (typeof meta === "string") {
+      let buffer = new Buffer(meta, "base64");
+      meta = xdr.TransactionMeta.fromXDR(buffer);
+    }
+
+    this._meta   = meta;
+    this.changes = [];
+
+    each(meta.operations(), (opMeta, operationIndex) => {
+      // stellar-core precedes `updated` and `removed` changes with the `state` of
+      // the entry before the change, keep it until the matching change comes.
+      let states = {};
+
+      each(opMeta.changes(), change => {
+        let changeType = change.switch().name.replace(/^ledgerEntry/, "").toLowerCase();
+        let ledgerKey = changeType == "removed" ? change.removed() : LedgerKey.fromLedgerEntry(change.value());
+        let keyId = LedgerKey.id(ledgerKey);
+        let before = null;
+        let after = null;
+
+        switch (changeType) {
+          case "state":
+          states[keyId] = {ledgerKey, entry: change.state()};
+          return;
+          case "created":
+          after = change.created();
+          break;
+          case "updated":
+          after = change.updated();
+          break;
+        }
+
+        if (states[keyId]) {
+          before = states[keyId].entry;
+          delete states[keyId];
+        }
+
+        this.changes.push(TransactionMeta._change(operationIndex, changeType, ledgerKey, before, after));
+      });
+
+      each(states, ({ledgerKey, entry}) => {
+        this.changes.push(TransactionMeta._change(operationIndex, "state", ledgerKey, entry, entry));
+      });
+    });
+  }
+
+  /**
+   * Converts the XDR LedgerEntry object to a plain object.
+   * @param {xdr.LedgerEntry} entry - An XDR LedgerEntry.
+   * @returns {object}
+   */
+  static fromLedgerEntry(entry) {
+    return LedgerEntry._attributesFromXDRObject(entry);
+  }
+
+  /**
+   * Converts the XDR LedgerKey object to a plain object.
+   * @param {xdr.LedgerKey} ledgerKey - An XDR LedgerKey.
+   * @returns {object}
+   */
+  static fromLedgerKey(ledgerKey) {
+    return LedgerKey.fromXDRObject(ledgerKey);
+  }
+
+  /**
+   * Returns the xdr object for this transaction meta.
+   * @returns {xdr.TransactionMeta}
+   */
+  toXDRObject() {
+    return this._meta;
+  }
+
+  /**
+   * @private
+   */
+  static _change(operationIndex, changeType, ledgerKey, before, after) {
+    return {
+      operationIndex,
+      changeType,
+      entryType: ENTRY_TYPES[ledgerKey.switch().name],
+      key:       this.fromLedgerKey(ledgerKey),
+      before:    before ? this.fromLedgerEntry(before) : null,
+      after:     after ? this.fromLedgerEntry(after) : null
+    };
+  }
+}
@@ -0,0 +1,153 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {accountIdtoAddress} from "./util/account_id";
+import {Asset} from "./asset";
+import {Operation} from "./operation";
+import map from "lodash/map";
+
+// Result arms are named after `xdr.OperationType`, which does not always match
+// the type names used by `Operation.fromXDRObject`.
+const OPERATION_TYPES = {
+  setOption: "setOptions",
+  manageDatum: "manageData"
+};
+
+/**
+ * `TransactionResult` decodes the result of applying a transaction, as returned by
+ * stellar-core or Horizon in the `result_xdr` field, into plain objects.
+ *
+ * Every operation result is converted to an object with the following fields:
+ * * `type` - operation type (ex. `payment`), `null` when the operation was not applied
+ * * `code` - result code name (ex. `paymentUnderfunded`, `opBadAuth`)
+ * * `success` - `true` if the operation succeeded
+ * * `details` - additional data returned by a successful operation (ex. offers claimed)
+ *
+ * @constructor
+ * @param {string|xdr.TransactionResult} result - The transaction result object or base64 encoded string.
+ */
+export class TransactionResult {
+  constructor(result) {
+    if (typeof result === "string") {
+      let buffer = new Buffer(result, "base64");
+      result = xdr.TransactionResult.fromXDR(buffer);
+    }
+
+    this._result    = result;
+    this.feeCharged = result.feeCharged().toString();
+    this.code       = result.result().switch().name;
+    this.success    = this.code === xdr.TransactionResultCode.txSuccess().name;
+
+    let operations  = result.result().results() || [];
+    this.operations = map(operations, op => {
+      return TransactionResult.fromOperationResult(op);
+    });
+  }
+
+  /**
+   * Converts the XDR OperationResult object to a plain object.
+   * @param {xdr.OperationResult} opResult - An XDR OperationResult.
+   * @returns {{type: string, code: string, success: boolean, details: object}}
+   */
+  static fromOperationResult(opResult) {
+    if (opResult.switch() !== xdr.OperationResultCode.opInner()) {
+      return {
+        type: null,
+        code: opResult.switch().name,
+        success: false,
+        details: {}
+      };
+    }
+
+    let tr    = opResult.tr();
+    let type  = tr.switch().name;
+    let inner = tr.value();
+
+    let result = {
+      type:    OPERATION_TYPES[type] || type,
+      code:    inner.switch().name,
+      success: inner.switch().value === 0,
+      details: {}
+    };
+
+    switch (type) {
+      case "pathPayment":
+      if (result.success) {
+        let success = inner.success();
+        let last = success.last();
+        result.details.offers = map(success.offers(), this._fromClaimOfferAtom);
+        result.details.last = {
+          destination: accountIdtoAddress(last.destination()),
+          asset: Asset.fromOperation(last.asset()),
+          amount: Operation._fromXDRAmount(last.amount())
+        };
+      } else if (result.code === "pathPaymentNoIssuer") {
+        result.details.noIssuer = Asset.fromOperation(inner.noIssuer());
+      }
+      break;
+      case "manageOffer":
+      case "createPassiveOffer":
+      if (result.success) {
+        let success = inner.success();
+        result.details.offersClaimed = map(success.offersClaimed(), this._fromClaimOfferAtom);
+        result.details.effect = success.offer().switch().name;
+        if (success.offer().value()) {
+          result.details.offer = this._fromOfferEntry(success.offer().value());
+        }
+      }
+      break;
+      case "accountMerge":
+      if (result.success) {
+        result.details.sourceAccountBalance = Operation._fromXDRAmount(inner.sourceAccountBalance());
+      }
+      break;
+      case "inflation":
+      if (result.success) {
+        result.details.payouts = map(inner.payouts(), payout => {
+          return {
+            destination: accountIdtoAddress(payout.destination()),
+            amount: Operation._fromXDRAmount(payout.amount())
+          };
+        });
+      }
+      break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the xdr object for this transaction result.
+   * @returns {xdr.TransactionResult}
+   */
+  toXDRObject() {
+    return this._result;
+  }
+
+  /**
+   * @private
+   */
+  static _fromClaimOfferAtom(atom) {
+    return {
+      sellerId: accountIdtoAddress(atom.sellerId()),
+      offerId: atom.offerId().toString(),
+      assetSold: Asset.fromOperation(atom.assetSold()),
+      amountSold: Operation._fromXDRAmount(atom.amountSold()),
+      assetBought: Asset.fromOperation(atom.assetBought()),
+      amountBought: Operation._fromXDRAmount(atom.amountBought())
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _fromOfferEntry(offer) {
+    return {
+      sellerId: accountIdtoAddress(offer.sellerId()),
+      offerId: offer.offerId().toString(),
+      selling: Asset.fromOperation(offer.selling()),
+      buying: Asset.fromOperation(offer.buying()),
+      amount: Operation._fromXDRAmount(offer.amount()),
+      price: Operation._fromXDRPrice(offer.price()),
+      flags: offer.flags()
+    };
+  }
+}
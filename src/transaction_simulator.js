@@ -0,0 +1,903 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {Hyper} from "js-xdr";
+import {Keypair} from "./keypair";
+import {Asset} from "./asset";
+import {Operation, AuthRequiredFlag, AuthRevocableFlag, AuthImmutableFlag} from "./operation";
+import {LedgerEntry, AccountEntry, TrustLineEntry, OfferEntry, DataEntry} from "./ledger_entry";
+import {LedgerKey} from "./ledger_key";
+import {TransactionResult} from "./transaction_result";
+import {TransactionMeta} from "./transaction_meta";
+import {BASE_FEE} from "./fee_strategy";
+import BigNumber from 'bignumber.js';
+import each from "lodash/each";
+import find from "lodash/find";
+import findIndex from "lodash/findIndex";
+import has from "lodash/has";
+import isString from "lodash/isString";
+import isUndefined from "lodash/isUndefined";
+import map from "lodash/map";
+import values from "lodash/values";
+
+const BASE_RESERVE = "0.5"; // XLM
+const MAX_SIGNERS  = 20;
+const ALL_ACCOUNT_FLAGS = AuthRequiredFlag | AuthRevocableFlag | AuthImmutableFlag;
+
+// Result unions and `xdr.OperationResultTr` arms for every operation type
+// returned by `Operation.fromXDRObject`.
+const OPERATION_RESULTS = {
+  createAccount:      ["createAccount", "CreateAccountResult"],
+  payment:            ["payment", "PaymentResult"],
+  pathPayment:        ["pathPayment", "PathPaymentResult"],
+  manageOffer:        ["manageOffer", "ManageOfferResult"],
+  createPassiveOffer: ["createPassiveOffer", "ManageOfferResult"],
+  setOptions:         ["setOption", "SetOptionsResult"],
+  changeTrust:        ["changeTrust", "ChangeTrustResult"],
+  allowTrust:         ["allowTrust", "AllowTrustResult"],
+  accountMerge:       ["accountMerge", "AccountMergeResult"],
+  inflation:          ["inflation", "InflationResult"],
+  manageData:         ["manageDatum", "ManageDataResult"]
+};
+
+/**
+ * `TransactionSimulator` applies transactions to an in-memory set of ledger entries
+ * and returns the result stellar-core would produce, without a running network.
+ *
+ * The simulator checks time bounds, fee, sequence number and balances of the source
+ * account, and then applies every operation following the rules of stellar-core.
+ * When all operations succeed their changes are kept, so several transactions can be
+ * simulated one after another. As in the real ledger, the fee and sequence number are
+ * consumed even when an operation fails. When an operation can not be simulated an error
+ * is thrown and the ledger entries are left unchanged.
+ *
+ * Limitations: signatures are not checked, offers are never crossed (an error is thrown
+ * when an offer or a path payment would need to cross an offer of another account) and
+ * `inflation` operations cannot be simulated.
+ *
+ * ```
+ * let simulator = new TransactionSimulator([
+ *   new AccountEntry({accountId: source, balance: "100", sequence: "10"})
+ * ]);
+ * let {result, meta} = simulator.simulate(transaction);
+ * result.code; // ex. "txFailed"
+ * result.operations[0].code; // ex. "paymentUnderfunded"
+ * meta.changes; // ledger entry changes, see {@link TransactionMeta}
+ * ```
+ * @constructor
+ * @param {Array.<LedgerEntry|xdr.LedgerEntry|string>} [entries] - Initial ledger entries.
+ * @param {object} [opts]
+ * @param {number} [opts.baseFee] - Base fee per operation (**in stroops**), defaults to 100.
+ * @param {string} [opts.baseReserve] - Base reserve in XLM, defaults to `0.5`.
+ * @param {number|string} [opts.closeTime] - Ledger close time (unix timestamp) used to check time bounds, defaults to now.
+ * @param {number} [opts.ledgerSequence] - Sequence of the ledger the transactions are applied to, defaults to 1.
+ * @param {string} [opts.idPool] - Last ID used for offers, defaults to `0`.
+ */
+export class TransactionSimulator {
+  constructor(entries = [], opts = {}) {
+    this.baseFee        = isUndefined(opts.baseFee) ? BASE_FEE : opts.baseFee;
+    this.baseReserve    = opts.baseReserve || BASE_RESERVE;
+    this.closeTime      = isUndefined(opts.closeTime) ? Math.floor(Date.now() / 1000) : opts.closeTime;
+    this.ledgerSequence = opts.ledgerSequence || 1;
+    this.idPool         = opts.idPool || "0";
+
+    this._entries = {};
+    each(entries, entry => this.addEntry(entry));
+  }
+
+  /**
+   * Adds or replaces a ledger entry.
+   * @param {LedgerEntry|xdr.LedgerEntry|string} entry - The ledger entry wrapper, xdr object or base64 encoded string.
+   * @returns {TransactionSimulator}
+   */
+  addEntry(entry) {
+    if (!(entry instanceof LedgerEntry)) {
+      entry = LedgerEntry.fromXDR(entry);
+    }
+    this._entries[LedgerKey.id(entry.ledgerKey())] = cloneEntry(entry);
+    return this;
+  }
+
+  /**
+   * Returns the current state of a ledger entry or `undefined` if it does not exist.
+   * @param {xdr.LedgerKey} ledgerKey - Key of the entry, use {@link LedgerKey} static methods.
+   * @returns {AccountEntry|TrustLineEntry|OfferEntry|DataEntry}
+   */
+  getEntry(ledgerKey) {
+    let entry = this._entries[LedgerKey.id(ledgerKey)];
+    return entry ? cloneEntry(entry) : undefined;
+  }
+
+  /**
+   * Returns the current state of all ledger entries.
+   * @returns {Array.<LedgerEntry>}
+   */
+  entries() {
+    return map(values(this._entries), cloneEntry);
+  }
+
+  /**
+   * Applies the transaction to the ledger entries.
+   * @param {Transaction} transaction - The transaction to apply.
+   * @returns {{result: TransactionResult, meta: TransactionMeta}}
+   */
+  simulate(transaction) {
+    let opCount    = transaction.operations.length;
+    let feeCharged = Math.min(transaction.fee, this.baseFee * opCount);
+    let sourceKey  = LedgerKey.account(transaction.source);
+    let source     = this.getEntry(sourceKey);
+
+    let code = this._checkValid(transaction, source, feeCharged);
+    if (code) {
+      return this._result(code, feeCharged, null, []);
+    }
+
+    // the fee and sequence number are consumed before operations are applied, they are
+    // only kept in `feeDelta` so that nothing changes when an operation throws
+    let feeDelta = {};
+    source.balance  = new BigNumber(source.balance).sub(toAmount(feeCharged)).toString();
+    source.sequence = transaction.sequence;
+    new LedgerState(this, [feeDelta]).store(source);
+
+    let txDelta   = {};
+    let header    = {idPool: this.idPool};
+    let opResults = [];
+    let opMetas   = [];
+    let failed    = false;
+
+    each(transaction.operations, (op, index) => {
+      let opDelta = {};
+      let state   = new LedgerState(this, [opDelta, txDelta, feeDelta], header);
+      let opSource = state.load(LedgerKey.account(op.source || transaction.source));
+
+      let result;
+      if (!opSource) {
+        result = {code: "opNoAccount"};
+      } else {
+        let xdrOp = transaction.tx.operations()[index];
+        result = this[`_${op.type}`](state, opSource, op, xdrOp);
+      }
+
+      opResults.push(toXDROperationResult(op.type, result));
+
+      if (!isSuccess(result.code)) {
+        failed = true;
+        return;
+      }
+
+      let before = new LedgerState(this, [txDelta, feeDelta]);
+      opMetas.push(new xdr.OperationMeta({changes: toXDRChanges(opDelta, before)}));
+      mergeDelta(txDelta, opDelta);
+    });
+
+    this._commit(feeDelta);
+    if (failed) {
+      return this._result("txFailed", feeCharged, opResults, []);
+    }
+
+    this._commit(txDelta);
+    this.idPool = header.idPool;
+
+    return this._result("txSuccess", feeCharged, opResults, opMetas);
+  }
+
+  /**
+   * Returns the minimum balance of an account with the given number of subentries.
+   * @param {number} numSubEntries - Number of trustlines, offers, data entries and signers.
+   * @returns {string}
+   */
+  minBalance(numSubEntries) {
+    return new BigNumber(this.baseReserve).mul(2 + numSubEntries).toString();
+  }
+
+  /**
+   * @private
+   */
+  _commit(delta) {
+    each(delta, ({entry}, id) => {
+      if (entry) {
+        this._entries[id] = entry;
+      } else {
+        delete this._entries[id];
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkValid(transaction, source, feeCharged) {
+    let timeBounds = transaction.timeBounds;
+    if (timeBounds) {
+      if (new BigNumber(timeBounds.minTime).gt(this.closeTime)) {
+        return "txTooEarly";
+      }
+      let maxTime = new BigNumber(timeBounds.maxTime);
+      if (!maxTime.isZero() && maxTime.lt(this.closeTime)) {
+        return "txTooLate";
+      }
+    }
+
+    if (transaction.operations.length === 0) {
+      return "txMissingOperation";
+    }
+
+    if (transaction.fee < this.baseFee * transaction.operations.length) {
+      return "txInsufficientFee";
+    }
+
+    if (!source) {
+      return "txNoAccount";
+    }
+
+    if (!new BigNumber(source.sequence).add(1).eq(transaction.sequence)) {
+      return "txBadSeq";
+    }
+
+    if (this._availableBalance(source).lt(toAmount(feeCharged))) {
+      return "txInsufficientBalance";
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _result(code, feeCharged, opResults, opMetas) {
+    let result = new xdr.TransactionResult({
+      feeCharged: Hyper.fromString(feeCharged.toString()),
+      result: new xdr.TransactionResultResult(code, opResults || undefined),
+      ext: new xdr.TransactionResultExt(0)
+    });
+    let meta = new xdr.TransactionMeta(0, opMetas);
+
+    return {
+      result: new TransactionResult(result),
+      meta: new TransactionMeta(meta)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _availableBalance(account) {
+    return new BigNumber(account.balance).sub(this.minBalance(account.numSubEntries));
+  }
+
+  /**
+   * @private
+   */
+  _addSubEntry(account) {
+    if (this._availableBalance(account).lt(this.baseReserve)) {
+      return false;
+    }
+    account.numSubEntries++;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _createAccount(state, source, op) {
+    let startingBalance = new BigNumber(op.startingBalance);
+    if (startingBalance.lte(0) || op.destination == source.accountId) {
+      return {code: "createAccountMalformed"};
+    }
+
+    if (state.load(LedgerKey.account(op.destination))) {
+      return {code: "createAccountAlreadyExist"};
+    }
+
+    if (startingBalance.lt(this.minBalance(0))) {
+      return {code: "createAccountLowReserve"};
+    }
+
+    if (this._availableBalance(source).lt(startingBalance)) {
+      return {code: "createAccountUnderfunded"};
+    }
+
+    source.balance = new BigNumber(source.balance).sub(startingBalance).toString();
+    state.store(source);
+    state.store(new AccountEntry({
+      accountId: op.destination,
+      balance: startingBalance.toString(),
+      sequence: new BigNumber(this.ledgerSequence).mul(4294967296).toString()
+    }));
+
+    return {code: "createAccountSuccess"};
+  }
+
+  /**
+   * @private
+   */
+  _payment(state, source, op) {
+    let result = this._transfer(state, source, op.destination, op.asset, op.amount, "payment");
+    if (result) {
+      return {code: result};
+    }
+    return {code: "paymentSuccess"};
+  }
+
+  /**
+   * @private
+   */
+  _pathPayment(state, source, op) {
+    if (op.path.length > 0 || !op.sendAsset.equals(op.destAsset)) {
+      throw new Error("pathPayment through the order book can not be simulated");
+    }
+
+    if (new BigNumber(op.destAmount).gt(op.sendMax)) {
+      return {code: "pathPaymentOverSendmax"};
+    }
+
+    let result = this._transfer(state, source, op.destination, op.destAsset, op.destAmount, "pathPayment");
+    if (result) {
+      return {code: result};
+    }
+
+    return {
+      code: "pathPaymentSuccess",
+      value: new xdr.PathPaymentResultSuccess({
+        offers: [],
+        last: new xdr.SimplePaymentResult({
+          destination: Keypair.fromPublicKey(op.destination).xdrAccountId(),
+          asset: op.destAsset.toXDRObject(),
+          amount: Operation._toXDRAmount(op.destAmount)
+        })
+      })
+    };
+  }
+
+  /**
+   * Moves `amount` of `asset` from `source` to `destination`. Returns the failure
+   * result code or `null` when the transfer succeeded.
+   * @private
+   */
+  _transfer(state, source, destination, asset, amount, prefix) {
+    amount = new BigNumber(amount);
+    if (amount.lte(0)) {
+      return `${prefix}Malformed`;
+    }
+
+    let destAccount = destination == source.accountId ? source : state.load(LedgerKey.account(destination));
+    if (!destAccount) {
+      return `${prefix}NoDestination`;
+    }
+
+    if (asset.isNative()) {
+      if (this._availableBalance(source).lt(amount)) {
+        return `${prefix}Underfunded`;
+      }
+      source.balance = new BigNumber(source.balance).sub(amount).toString();
+      destAccount.balance = new BigNumber(destAccount.balance).add(amount).toString();
+      state.store(source);
+      state.store(destAccount);
+      return null;
+    }
+
+    if (destination != asset.getIssuer()) {
+      let destLine = state.load(LedgerKey.trustline(destination, asset));
+      if (!destLine) {
+        return `${prefix}NoTrust`;
+      }
+      if (!destLine.flags.authorized) {
+        return `${prefix}NotAuthorized`;
+      }
+      let balance = new BigNumber(destLine.balance).add(amount);
+      if (balance.gt(destLine.limit)) {
+        return `${prefix}LineFull`;
+      }
+      destLine.balance = balance.toString();
+      state.store(destLine);
+    }
+
+    if (!state.load(LedgerKey.account(asset.getIssuer()))) {
+      return `${prefix}NoIssuer`;
+    }
+
+    if (source.accountId != asset.getIssuer()) {
+      let sourceLine = state.load(LedgerKey.trustline(source.accountId, asset));
+      if (!sourceLine) {
+        return `${prefix}SrcNoTrust`;
+      }
+      if (!sourceLine.flags.authorized) {
+        return `${prefix}SrcNotAuthorized`;
+      }
+      if (new BigNumber(sourceLine.balance).lt(amount)) {
+        return `${prefix}Underfunded`;
+      }
+      sourceLine.balance = new BigNumber(sourceLine.balance).sub(amount).toString();
+      state.store(sourceLine);
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _manageOffer(state, source, op, xdrOp) {
+    let passive = op.type == "createPassiveOffer";
+    let price   = xdrOp.body().value().price();
+    let amount  = new BigNumber(op.amount);
+    let offerId = passive ? "0" : op.offerId;
+
+    if (op.selling.equals(op.buying) || amount.isNegative() || price.n() <= 0 || price.d() <= 0 ||
+        (amount.isZero() && (passive || offerId == "0"))) {
+      return {code: "manageOfferMalformed"};
+    }
+
+    let offer;
+    if (offerId != "0") {
+      offer = state.load(LedgerKey.offer(source.accountId, offerId));
+      if (!offer) {
+        return {code: "manageOfferNotFound"};
+      }
+    }
+
+    if (amount.isZero()) {
+      state.erase(offer.ledgerKey());
+      source.numSubEntries--;
+      state.store(source);
+      return this._offerResult("manageOfferDeleted");
+    }
+
+    let code = this._checkOfferAsset(state, source, op.selling, "Sell");
+    if (code) {
+      return {code};
+    }
+    code = this._checkOfferAsset(state, source, op.buying, "Buy");
+    if (code) {
+      return {code};
+    }
+
+    if (op.selling.isNative()) {
+      if (!this._availableBalance(source).gt(0)) {
+        return {code: "manageOfferUnderfunded"};
+      }
+    } else if (source.accountId != op.selling.getIssuer()) {
+      let sellingLine = state.load(LedgerKey.trustline(source.accountId, op.selling));
+      if (new BigNumber(sellingLine.balance).isZero()) {
+        return {code: "manageOfferUnderfunded"};
+      }
+    }
+
+    if (!op.buying.isNative() && source.accountId != op.buying.getIssuer()) {
+      let buyingLine = state.load(LedgerKey.trustline(source.accountId, op.buying));
+      if (new BigNumber(buyingLine.balance).gte(buyingLine.limit)) {
+        return {code: "manageOfferLineFull"};
+      }
+    }
+
+    let crossed = find(state.all(), entry => {
+      return entry instanceof OfferEntry &&
+        entry.offerId != offerId &&
+        entry.selling.equals(op.buying) &&
+        entry.buying.equals(op.selling) &&
+        crosses(price, entry.priceR, passive);
+    });
+    if (crossed) {
+      if (crossed.sellerId == source.accountId) {
+        return {code: "manageOfferCrossSelf"};
+      }
+      throw new Error("Crossing offers can not be simulated");
+    }
+
+    let effect = "manageOfferUpdated";
+    if (!offer) {
+      if (!this._addSubEntry(source)) {
+        return {code: "manageOfferLowReserve"};
+      }
+      state.store(source);
+      offerId = state.generateId();
+      effect = "manageOfferCreated";
+    }
+
+    offer = new OfferEntry({
+      sellerId: source.accountId,
+      offerId,
+      selling: op.selling,
+      buying: op.buying,
+      amount: op.amount,
+      priceR: {n: price.n(), d: price.d()},
+      flags: offer ? offer.flags : {passive}
+    });
+    state.store(offer);
+
+    return this._offerResult(effect, offer);
+  }
+
+  /**
+   * @private
+   */
+  _createPassiveOffer(state, source, op, xdrOp) {
+    return this._manageOffer(state, source, op, xdrOp);
+  }
+
+  /**
+   * @private
+   */
+  _checkOfferAsset(state, source, asset, side) {
+    if (asset.isNative()) {
+      return null;
+    }
+    if (!state.load(LedgerKey.account(asset.getIssuer()))) {
+      return `manageOffer${side}NoIssuer`;
+    }
+    if (source.accountId == asset.getIssuer()) {
+      return null;
+    }
+    let line = state.load(LedgerKey.trustline(source.accountId, asset));
+    if (!line) {
+      return `manageOffer${side}NoTrust`;
+    }
+    if (!line.flags.authorized) {
+      return `manageOffer${side}NotAuthorized`;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _offerResult(effect, offer) {
+    let offerResult = offer ?
+      xdr.ManageOfferSuccessResultOffer[effect](offer.toXDRObject().data().offer()) :
+      xdr.ManageOfferSuccessResultOffer[effect]();
+
+    return {
+      code: "manageOfferSuccess",
+      value: new xdr.ManageOfferSuccessResult({offersClaimed: [], offer: offerResult})
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setOptions(state, source, op) {
+    if (op.inflationDest && op.inflationDest != source.accountId &&
+        !state.load(LedgerKey.account(op.inflationDest))) {
+      return {code: "setOptionsInvalidInflation"};
+    }
+
+    let setFlags   = op.setFlags || 0;
+    let clearFlags = op.clearFlags || 0;
+    if ((setFlags | clearFlags) & ~ALL_ACCOUNT_FLAGS) {
+      return {code: "setOptionsUnknownFlag"};
+    }
+    if (setFlags & clearFlags) {
+      return {code: "setOptionsBadFlag"};
+    }
+    if ((setFlags || clearFlags) && source.flags.authImmutable) {
+      return {code: "setOptionsCantChange"};
+    }
+
+    let weights = ["masterWeight", "lowThreshold", "medThreshold", "highThreshold"];
+    if (find(weights, name => op[name] > 255)) {
+      return {code: "setOptionsThresholdOutOfRange"};
+    }
+
+    if (isString(op.homeDomain) && !/^[\x20-\x7e]{0,32}$/.test(op.homeDomain)) {
+      return {code: "setOptionsInvalidHomeDomain"};
+    }
+
+    if (op.signer) {
+      if (op.signer.ed25519PublicKey == source.accountId || op.signer.weight > 255) {
+        return {code: "setOptionsBadSigner"};
+      }
+
+      let index = findIndex(source.signers, signer => sameSignerKey(signer, op.signer));
+      if (op.signer.weight === 0) {
+        if (index >= 0) {
+          source.signers.splice(index, 1);
+          source.numSubEntries--;
+        }
+      } else if (index >= 0) {
+        source.signers[index].weight = op.signer.weight;
+      } else {
+        if (source.signers.length >= MAX_SIGNERS) {
+          return {code: "setOptionsTooManySigner"};
+        }
+        if (!this._addSubEntry(source)) {
+          return {code: "setOptionsLowReserve"};
+        }
+        source.signers.push(op.signer);
+      }
+    }
+
+    if (op.inflationDest) {
+      source.inflationDest = op.inflationDest;
+    }
+    each(AccountEntry.flagNames, (mask, name) => {
+      if (clearFlags & mask) {
+        source.flags[name] = false;
+      }
+      if (setFlags & mask) {
+        source.flags[name] = true;
+      }
+    });
+    each(weights, name => {
+      if (!isUndefined(op[name]) && op[name] !== null) {
+        source[name] = op[name];
+      }
+    });
+    if (isString(op.homeDomain)) {
+      source.homeDomain = op.homeDomain;
+    }
+
+    state.store(source);
+    return {code: "setOptionsSuccess"};
+  }
+
+  /**
+   * @private
+   */
+  _changeTrust(state, source, op) {
+    let limit = new BigNumber(op.limit);
+    if (op.line.isNative() || limit.isNegative()) {
+      return {code: "changeTrustMalformed"};
+    }
+
+    if (source.accountId == op.line.getIssuer()) {
+      return {code: "changeTrustSelfNotAllowed"};
+    }
+
+    let line = state.load(LedgerKey.trustline(source.accountId, op.line));
+    if (line) {
+      if (limit.lt(line.balance)) {
+        return {code: "changeTrustInvalidLimit"};
+      }
+
+      if (limit.isZero()) {
+        state.erase(line.ledgerKey());
+        source.numSubEntries--;
+        state.store(source);
+      } else {
+        line.limit = limit.toString();
+        state.store(line);
+      }
+      return {code: "changeTrustSuccess"};
+    }
+
+    if (limit.isZero()) {
+      return {code: "changeTrustInvalidLimit"};
+    }
+
+    let issuer = state.load(LedgerKey.account(op.line.getIssuer()));
+    if (!issuer) {
+      return {code: "changeTrustNoIssuer"};
+    }
+
+    if (!this._addSubEntry(source)) {
+      return {code: "changeTrustLowReserve"};
+    }
+
+    state.store(source);
+    state.store(new TrustLineEntry({
+      accountId: source.accountId,
+      asset: op.line,
+      balance: "0",
+      limit: limit.toString(),
+      flags: {authorized: !issuer.flags.authRequired}
+    }));
+    return {code: "changeTrustSuccess"};
+  }
+
+  /**
+   * @private
+   */
+  _allowTrust(state, source, op) {
+    if (op.trustor == source.accountId) {
+      return {code: "allowTrustSelfNotAllowed"};
+    }
+
+    let asset;
+    try {
+      asset = new Asset(op.assetCode, source.accountId);
+    } catch (e) {
+      return {code: "allowTrustMalformed"};
+    }
+
+    if (!source.flags.authRequired) {
+      return {code: "allowTrustTrustNotRequired"};
+    }
+
+    if (!op.authorize && !source.flags.authRevocable) {
+      return {code: "allowTrustCantRevoke"};
+    }
+
+    let line = state.load(LedgerKey.trustline(op.trustor, asset));
+    if (!line) {
+      return {code: "allowTrustNoTrustLine"};
+    }
+
+    line.flags.authorized = op.authorize;
+    state.store(line);
+    return {code: "allowTrustSuccess"};
+  }
+
+  /**
+   * @private
+   */
+  _accountMerge(state, source, op) {
+    if (op.destination == source.accountId) {
+      return {code: "accountMergeMalformed"};
+    }
+
+    let destination = state.load(LedgerKey.account(op.destination));
+    if (!destination) {
+      return {code: "accountMergeNoAccount"};
+    }
+
+    if (source.flags.authImmutable) {
+      return {code: "accountMergeImmutableSet"};
+    }
+
+    if (source.numSubEntries != source.signers.length) {
+      return {code: "accountMergeHasSubEntry"};
+    }
+
+    destination.balance = new BigNumber(destination.balance).add(source.balance).toString();
+    state.store(destination);
+    state.erase(source.ledgerKey());
+
+    return {
+      code: "accountMergeSuccess",
+      value: Operation._toXDRAmount(source.balance)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _inflation() {
+    throw new Error("inflation operation can not be simulated");
+  }
+
+  /**
+   * @private
+   */
+  _manageData(state, source, op) {
+    if (op.name.length === 0) {
+      return {code: "manageDataInvalidName"};
+    }
+
+    let data = state.load(LedgerKey.data(source.accountId, op.name));
+    if (op.value === null || isUndefined(op.value)) {
+      if (!data) {
+        return {code: "manageDataNameNotFound"};
+      }
+      state.erase(data.ledgerKey());
+      source.numSubEntries--;
+      state.store(source);
+      return {code: "manageDataSuccess"};
+    }
+
+    if (!data) {
+      if (!this._addSubEntry(source)) {
+        return {code: "manageDataLowReserve"};
+      }
+      state.store(source);
+      data = new DataEntry({accountId: source.accountId, name: op.name, value: op.value});
+    }
+
+    data.value = op.value;
+    state.store(data);
+    return {code: "manageDataSuccess"};
+  }
+}
+
+/**
+ * Entries of the simulator seen through a stack of uncommitted changes.
+ * @private
+ */
+class LedgerState {
+  constructor(simulator, deltas, header) {
+    this.simulator = simulator;
+    this.deltas    = deltas;
+    this.header    = header;
+  }
+
+  // the ID pool of the simulator is only updated when the transaction succeeds
+  generateId() {
+    this.header.idPool = new BigNumber(this.header.idPool).add(1).toString();
+    return this.header.idPool;
+  }
+
+  load(ledgerKey) {
+    let id = LedgerKey.id(ledgerKey);
+    let delta = find(this.deltas, d => has(d, id));
+    let entry = delta ? delta[id].entry : this.simulator._entries[id];
+    return entry ? cloneEntry(entry) : undefined;
+  }
+
+  all() {
+    let entries = {};
+    each(this.simulator._entries, (entry, id) => {
+      entries[id] = entry;
+    });
+    each(this.deltas.slice().reverse(), delta => {
+      each(delta, ({entry}, id) => {
+        entries[id] = entry;
+      });
+    });
+    return map(values(entries).filter(Boolean), cloneEntry);
+  }
+
+  store(entry) {
+    entry.lastModifiedLedgerSeq = this.simulator.ledgerSequence;
+    let ledgerKey = entry.ledgerKey();
+    this.deltas[0][LedgerKey.id(ledgerKey)] = {ledgerKey, entry: cloneEntry(entry)};
+  }
+
+  erase(ledgerKey) {
+    this.deltas[0][LedgerKey.id(ledgerKey)] = {ledgerKey, entry: null};
+  }
+}
+
+function cloneEntry(entry) {
+  return LedgerEntry.fromXDR(entry.toXDRObject());
+}
+
+function mergeDelta(target, delta) {
+  each(delta, (change, id) => {
+    target[id] = change;
+  });
+}
+
+function toAmount(stroops) {
+  return Operation._fromXDRAmount(stroops);
+}
+
+function isSuccess(code) {
+  return /Success$/.test(code);
+}
+
+function toXDRChanges(delta, before) {
+  let changes = [];
+  each(delta, ({ledgerKey, entry}) => {
+    let previous = before.load(ledgerKey);
+    if (previous) {
+      changes.push(xdr.LedgerEntryChange.ledgerEntryState(previous.toXDRObject()));
+    }
+
+    if (!entry) {
+      changes.push(xdr.LedgerEntryChange.ledgerEntryRemoved(ledgerKey));
+    } else if (previous) {
+      changes.push(xdr.LedgerEntryChange.ledgerEntryUpdated(entry.toXDRObject()));
+    } else {
+      changes.push(xdr.LedgerEntryChange.ledgerEntryCreated(entry.toXDRObject()));
+    }
+  });
+  return changes;
+}
+
+function toXDROperationResult(type, result) {
+  if (result.code == "opNoAccount") {
+    return new xdr.OperationResult("opNoAccount");
+  }
+
+  let [arm, resultType] = OPERATION_RESULTS[type];
+  let opResult = new xdr[resultType](result.code, result.value);
+  return xdr.OperationResult.opInner(xdr.OperationResultTr[arm](opResult));
+}
+
+function sameSignerKey(a, b) {
+  if (a.ed25519PublicKey || b.ed25519PublicKey) {
+    return a.ed25519PublicKey == b.ed25519PublicKey;
+  }
+  if (a.preAuthTx && b.preAuthTx) {
+    return a.preAuthTx.equals(b.preAuthTx);
+  }
+  if (a.sha256Hash && b.sha256Hash) {
+    return a.sha256Hash.equals(b.sha256Hash);
+  }
+  return false;
+}
+
+// An offer selling A for B at price `price` (B per A) crosses an offer selling B for A
+// at `counterPrice` (A per B) when the product of both prices is at most 1.
+function crosses(price, counterPrice, passive) {
+  let product = new BigNumber(price.n()).mul(counterPrice.n);
+  let divisor = new BigNumber(price.d()).mul(counterPrice.d);
+  return passive ? product.lt(divisor) : product.lte(divisor);
+}
@@ -0,0 +1,218 @@
+import {default as xdr} from "./generated/stellar-xdr_generated";
+import {UnsignedHyper} from "js-xdr";
+import {Keypair} from "./keypair";
+import {Asset} from "./asset";
+import {Memo} from "./memo";
+import {Operation} from "./operation";
+import {Transaction} from "./transaction";
+import each from "lodash/each";
+import isArray from "lodash/isArray";
+import isNil from "lodash/isNil";
+import isPlainObject from "lodash/isPlainObject";
+import isString from "lodash/isString";
+import map from "lodash/map";
+
+const OPERATION_TYPES = [
+  "createAccount", "payment", "pathPayment", "manageOffer", "createPassiveOffer", "setOptions",
+  "changeTrust", "allowTrust", "accountMerge", "inflation", "manageData"
+];
+const ASSET_FIELDS = ["asset", "sendAsset", "destAsset", "selling", "buying", "line"];
+
+/**
+ * `TxRep` converts transaction envelopes to a readable JSON representation and back.
+ * Converting the representation back always gives a byte-identical envelope.
+ *
+ * The representation has the following form:
+ * ```
+ * {
+ *   "source": "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB",
+ *   "fee": 100,
+ *   "sequence": "1",
+ *   "timeBounds": {"minTime": "0", "maxTime": "1455297545"},
+ *   "memo": {"type": "text", "value": "Happy birthday!"},
+ *   "operations": [
+ *     {"type": "payment", "destination": "GDJJ...", "asset": "native", "amount": "2000"}
+ *   ],
+ *   "signatures": [{"hint": "0d5e2d6c", "signature": "4bd3..."}]
+ * }
+ * ```
+ *
+ * Operations have the form returned by {@link Operation.fromXDRObject} and accepted by
+ * the {@link Operation} static methods, with these differences:
+ * * assets are written `native` or `CODE:ISSUER`,
+ * * prices are written `{n, d}` so they are not rounded,
+ * * binary values (data values, `preAuthTx` and `sha256Hash` signers, memo hashes, signatures) are hex encoded,
+ * * empty fields are left out.
+ *
+ * @class TxRep
+ */
+export class TxRep {
+  /**
+   * Returns the JSON representation of the transaction.
+   * @param {Transaction} transaction - The transaction.
+   * @returns {object}
+   */
+  static fromTransaction(transaction) {
+    let result = {
+      source: transaction.source,
+      fee: transaction.fee,
+      sequence: transaction.sequence
+    };
+
+    if (transaction.timeBounds) {
+      result.timeBounds = {
+        minTime: transaction.timeBounds.minTime,
+        maxTime: transaction.timeBounds.maxTime
+      };
+    }
+
+    let memo = transaction.memo;
+    result.memo = {type: memo.type};
+    if (!isNil(memo.value)) {
+      result.memo.value = toJSONValue(memo.value);
+    }
+
+    result.operations = map(transaction.tx.operations(), op => this.fromOperation(op));
+    result.signatures = map(transaction.signatures, signature => {
+      return {
+        hint: signature.hint().toString("hex"),
+        signature: signature.signature().toString("hex")
+      };
+    });
+    return result;
+  }
+
+  /**
+   * Creates a {@link Transaction} from its JSON representation.
+   * @param {object|string} txrep - The representation or its JSON string.
+   * @param {string} [networkPassphrase] - The passphrase of the network the transaction is for.
+   * @returns {Transaction}
+   */
+  static toTransaction(txrep, networkPassphrase) {
+    if (isString(txrep)) {
+      txrep = JSON.parse(txrep);
+    }
+
+    let memo = txrep.memo ? new Memo(txrep.memo.type, txrep.memo.value) : Memo.none();
+
+    let attrs = {
+      sourceAccount: Keypair.fromPublicKey(txrep.source).xdrAccountId(),
+      fee:           txrep.fee,
+      seqNum:        xdr.SequenceNumber.fromString(txrep.sequence.toString()),
+      memo:          memo.toXDRObject(),
+      ext:           new xdr.TransactionExt(0)
+    };
+
+    if (txrep.timeBounds) {
+      attrs.timeBounds = new xdr.TimeBounds({
+        minTime: UnsignedHyper.fromString(txrep.timeBounds.minTime.toString()),
+        maxTime: UnsignedHyper.fromString(txrep.timeBounds.maxTime.toString())
+      });
+    }
+
+    let tx = new xdr.Transaction(attrs);
+    tx.operations(map(txrep.operations, op => this.toOperation(op)));
+
+    let signatures = map(txrep.signatures, signature => {
+      return new xdr.DecoratedSignature({
+        hint: new Buffer(signature.hint, "hex"),
+        signature: new Buffer(signature.signature, "hex")
+      });
+    });
+
+    return new Transaction(new xdr.TransactionEnvelope({tx, signatures}), networkPassphrase);
+  }
+
+  /**
+   * Returns the JSON representation of the transaction as an indented string.
+   * @param {Transaction} transaction - The transaction.
+   * @returns {string}
+   */
+  static stringify(transaction) {
+    return JSON.stringify(this.fromTransaction(transaction), null, 2);
+  }
+
+  /**
+   * Returns the JSON representation of an operation.
+   * @param {xdr.Operation} operation - An XDR Operation.
+   * @returns {object}
+   */
+  static fromOperation(operation) {
+    let opts = Operation.fromXDRObject(operation);
+    let body = operation.body().value();
+    if (opts.type === "manageOffer" || opts.type === "createPassiveOffer") {
+      opts.price = {n: body.price().n(), d: body.price().d()};
+    }
+    return toJSONValue(opts);
+  }
+
+  /**
+   * Creates an XDR Operation from its JSON representation.
+   * @param {object} json - The representation returned by {@link TxRep.fromOperation}.
+   * @returns {xdr.Operation}
+   */
+  static toOperation(json) {
+    let opts = {};
+    each(json, (value, key) => {
+      if (ASSET_FIELDS.indexOf(key) !== -1) {
+        value = toAsset(value);
+      } else if (key === "path") {
+        value = map(value, toAsset);
+      }
+      opts[key] = value;
+    });
+
+    // `Operation.changeTrust` calls `line` an `asset`
+    if (opts.type === "changeTrust") {
+      opts.asset = opts.line;
+    }
+
+    if (opts.type === "manageData") {
+      opts.value = isNil(opts.value) ? null : new Buffer(opts.value, "hex");
+    }
+
+    if (OPERATION_TYPES.indexOf(opts.type) === -1) {
+      throw new Error(`Unknown operation type: ${opts.type}`);
+    }
+
+    return Operation[opts.type](opts);
+  }
+}
+
+function toJSONValue(value) {
+  if (value instanceof Asset) {
+    return value.isNative() ? "native" : `${value.getCode()}:${value.getIssuer()}`;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value.toString("hex");
+  }
+
+  if (isArray(value)) {
+    return map(value, toJSONValue);
+  }
+
+  if (isPlainObject(value)) {
+    let result = {};
+    each(value, (v, k) => {
+      if (!isNil(v)) {
+        result[k] = toJSONValue(v);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+function toAsset(value) {
+  if (value === "native") {
+    return Asset.native();
+  }
+
+  let parts = isString(value) ? value.split(":") : [];
+  if (parts.length !== 2) {
+    throw new Error(`Invalid asset: ${value}`);
+  }
+  return new Asset(parts[0], parts[1]);
+}
@@ -0,0 +1,11 @@
+import {StrKey} from "../strkey";
+
+/**
+ * Converts an XDR account ID to its strkey address (`G...`).
+ * @private
+ * @param {xdr.AccountId} accountId
+ * @returns {string}
+ */
+export function accountIdtoAddress(accountId) {
+  return StrKey.encodeEd25519PublicKey(accountId.ed25519());
+}
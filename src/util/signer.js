@@ -0,0 +1,58 @@
+import {Keypair} from "../keypair";
+import {hash} from "../hashing";
+import isString from "lodash/isString";
+
+/**
+ * Returns the 4-byte hint of the signatures of an `ed25519PublicKey` or `sha256Hash` (hashX) signer.
+ * @private
+ * @param {{ed25519PublicKey: string}|{sha256Hash: (Buffer|string)}} signer
+ * @returns {Buffer|null} `null` for other signers
+ */
+export function signerHint(signer) {
+  if (signer.ed25519PublicKey) {
+    return Keypair.fromPublicKey(signer.ed25519PublicKey).signatureHint();
+  }
+  if (signer.sha256Hash) {
+    return toBuffer(signer.sha256Hash).slice(-4);
+  }
+  return null;
+}
+
+/**
+ * Checks the signature of a signer: an ed25519 signature of the transaction hash, or the preimage of
+ * the hash of a hashX signer. The hint is not checked, see {@link signatureMatches}.
+ * @private
+ * @param {{ed25519PublicKey: string}|{sha256Hash: (Buffer|string)}} signer
+ * @param {Buffer} signature - The signature of a `DecoratedSignature`.
+ * @param {Buffer} txHash - The transaction hash.
+ * @returns {boolean}
+ */
+export function signerVerifies(signer, signature, txHash) {
+  if (signer.ed25519PublicKey) {
+    return Keypair.fromPublicKey(signer.ed25519PublicKey).verify(txHash, signature);
+  }
+  if (signer.sha256Hash) {
+    return hash(signature).equals(toBuffer(signer.sha256Hash));
+  }
+  return false;
+}
+
+/**
+ * Checks that a decorated signature has the hint of the signer and is a valid signature of it.
+ * @private
+ * @param {{ed25519PublicKey: string}|{sha256Hash: (Buffer|string)}} signer
+ * @param {xdr.DecoratedSignature} signature
+ * @param {Buffer} txHash - The transaction hash.
+ * @returns {boolean}
+ */
+export function signatureMatches(signer, signature, txHash) {
+  let hint = signerHint(signer);
+  return !!hint && hint.equals(signature.hint()) && signerVerifies(signer, signature.signature(), txHash);
+}
+
+function toBuffer(value) {
+  if (isString(value)) {
+    return Buffer.from(value, "hex");
+  }
+  return value;
+}
@@ -0,0 +1,204 @@
+describe('AtomicSwap', function() {
+  let alice       = StellarBase.Keypair.random();
+  let bob         = StellarBase.Keypair.random();
+  let aliceEscrow = StellarBase.Keypair.random();
+  let bobEscrow   = StellarBase.Keypair.random();
+  let issuer      = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd         = new StellarBase.Asset("USD", issuer);
+  let hashX       = StellarBase.HashX.random();
+  let networkPassphrase = StellarBase.Networks.TESTNET;
+
+  describe(".createEscrow()", function() {
+    it("creates the escrow account with a trustline", function() {
+      let source = new StellarBase.Account(alice.publicKey(), "10");
+      let tx = StellarBase.AtomicSwap.createEscrow({source, escrow: aliceEscrow.publicKey(), asset: usd, networkPassphrase});
+
+      expect(tx.sequence).to.be.equal("11");
+      expect(tx.operations[0]).to.deep.include({type: "createAccount", destination: aliceEscrow.publicKey(), startingBalance: "5"});
+      expect(tx.operations[1].type).to.be.equal("changeTrust");
+      expect(tx.operations[1].source).to.be.equal(aliceEscrow.publicKey());
+      expect(tx.timeBounds.maxTime).not.to.be.equal("0");
+    });
+
+    it("does not add a trustline for the native asset", function() {
+      let source = new StellarBase.Account(alice.publicKey(), "10");
+      let tx = StellarBase.AtomicSwap.createEscrow({source, escrow: aliceEscrow.publicKey(), asset: StellarBase.Asset.native(), startingBalance: "3"});
+      expect(tx.operations.length).to.be.equal(1);
+      expect(tx.operations[0].startingBalance).to.be.equal("3");
+    });
+  });
+
+  describe(".lock()", function() {
+    let source;
+    let escrow;
+    let swap;
+
+    beforeEach(function() {
+      source = new StellarBase.Account(alice.publicKey(), "10");
+      escrow = new StellarBase.Account(aliceEscrow.publicKey(), "4294967296");
+      swap = StellarBase.AtomicSwap.lock({
+        source,
+        escrow,
+        counterparty: bob.publicKey(),
+        asset: usd,
+        amount: "100",
+        hash: hashX.address(),
+        refundTime: 1600000000,
+        networkPassphrase
+      });
+    });
+
+    it("funds the escrow account and replaces its master key", function() {
+      let ops = swap.lock.operations;
+      expect(swap.lock.source).to.be.equal(alice.publicKey());
+      expect(swap.lock.sequence).to.be.equal("11");
+      expect(ops[0]).to.deep.include({type: "payment", destination: aliceEscrow.publicKey(), amount: "100"});
+      expect(ops[1].signer).to.deep.equal({ed25519PublicKey: bob.publicKey(), weight: 1});
+      expect(ops[2].signer.sha256Hash.equals(hashX.hash())).to.be.true;
+      expect(ops[3].signer.preAuthTx.equals(swap.refund.hash())).to.be.true;
+      expect(ops[3].signer.weight).to.be.equal(2);
+      expect(ops[4].signer.preAuthTx.equals(swap.cleanup.hash())).to.be.true;
+      expect(ops[4].signer.weight).to.be.equal(2);
+      expect(ops[5]).to.deep.include({masterWeight: 0, lowThreshold: 2, medThreshold: 2, highThreshold: 2});
+      ops.slice(1).forEach(op => expect(op.source).to.be.equal(aliceEscrow.publicKey()));
+      expect(escrow.sequenceNumber()).to.be.equal("4294967296");
+    });
+
+    it("builds claim and refund with the same escrow sequence number", function() {
+      expect(swap.claim.source).to.be.equal(aliceEscrow.publicKey());
+      expect(swap.claim.sequence).to.be.equal("4294967297");
+      expect(swap.refund.sequence).to.be.equal("4294967297");
+      expect(swap.claim.timeBounds).to.deep.equal({minTime: "0", maxTime: "1600000000"});
+      expect(swap.refund.timeBounds).to.deep.equal({minTime: "1600000000", maxTime: "0"});
+
+      expect(swap.claim.operations.length).to.be.equal(1);
+      expect(swap.claim.operations[0]).to.deep.include({type: "payment", destination: bob.publicKey(), amount: "100"});
+      expect(swap.refund.operations.length).to.be.equal(1);
+      expect(swap.refund.operations[0]).to.deep.include({type: "payment", destination: alice.publicKey(), amount: "100"});
+    });
+
+    it("builds the cleanup after claim and refund", function() {
+      expect(swap.cleanup.source).to.be.equal(aliceEscrow.publicKey());
+      expect(swap.cleanup.sequence).to.be.equal("4294967298");
+      expect(swap.cleanup.operations.map(op => op.type)).to.deep.equal(["changeTrust", "accountMerge"]);
+      expect(swap.cleanup.operations[0].limit).to.be.equal("0");
+      expect(swap.cleanup.operations[1].destination).to.be.equal(alice.publicKey());
+    });
+
+    it("builds transactions authorized by the escrow signers", function() {
+      let escrowEntry = new StellarBase.AccountEntry({
+        accountId: aliceEscrow.publicKey(),
+        balance: "5",
+        masterWeight: 0,
+        lowThreshold: 2,
+        medThreshold: 2,
+        highThreshold: 2,
+        signers: [
+          {ed25519PublicKey: bob.publicKey(), weight: 1},
+          {sha256Hash: hashX.hash(), weight: 1},
+          {preAuthTx: swap.refund.hash(), weight: 2},
+          {preAuthTx: swap.cleanup.hash(), weight: 2}
+        ]
+      });
+
+      expect(StellarBase.ThresholdEvaluator.evaluate(swap.refund, [escrowEntry]).authorized).to.be.true;
+      expect(StellarBase.ThresholdEvaluator.evaluate(swap.cleanup, [escrowEntry]).authorized).to.be.true;
+
+      swap.claim.sign(bob);
+      expect(StellarBase.ThresholdEvaluator.evaluate(swap.claim, [escrowEntry]).authorized).to.be.false;
+      hashX.sign(swap.claim, hashX.address());
+      expect(StellarBase.ThresholdEvaluator.evaluate(swap.claim, [escrowEntry]).authorized).to.be.true;
+    });
+
+    function simulator(escrowBalance, closeTime) {
+      let signers = [
+        {ed25519PublicKey: bob.publicKey(), weight: 1},
+        {sha256Hash: hashX.hash(), weight: 1},
+        {preAuthTx: swap.refund.hash(), weight: 2},
+        {preAuthTx: swap.cleanup.hash(), weight: 2}
+      ];
+      let trustline = (accountId, balance) => new StellarBase.TrustLineEntry({
+        accountId, asset: usd, balance, limit: "1000", flags: {authorized: true}
+      });
+      return new StellarBase.TransactionSimulator([
+        new StellarBase.AccountEntry({accountId: aliceEscrow.publicKey(), balance: "5", sequence: "4294967296", numSubEntries: 5, signers}),
+        trustline(aliceEscrow.publicKey(), escrowBalance),
+        new StellarBase.AccountEntry({accountId: alice.publicKey(), balance: "10", sequence: "1", numSubEntries: 1}),
+        trustline(alice.publicKey(), "0"),
+        new StellarBase.AccountEntry({accountId: bob.publicKey(), balance: "10", sequence: "1", numSubEntries: 1}),
+        trustline(bob.publicKey(), "0"),
+        new StellarBase.AccountEntry({accountId: issuer, balance: "10", sequence: "1"})
+      ], {closeTime});
+    }
+
+    it("claims, then merges the escrow account with its signers", function() {
+      let ledger = simulator("100", 1500000000);
+      expect(ledger.simulate(swap.claim).result.code).to.be.equal("txSuccess");
+      expect(ledger.simulate(swap.refund).result.code).to.be.equal("txTooEarly");
+      expect(ledger.simulate(swap.cleanup).result.code).to.be.equal("txSuccess");
+      expect(ledger.getEntry(StellarBase.LedgerKey.account(aliceEscrow.publicKey()))).to.be.undefined;
+      expect(ledger.getEntry(StellarBase.LedgerKey.trustline(bob.publicKey(), usd)).balance).to.be.equal("100");
+      expect(ledger.getEntry(StellarBase.LedgerKey.account(alice.publicKey())).balance).to.be.equal("14.99997");
+    });
+
+    it("refunds when somebody else sent funds to the escrow trustline", function() {
+      let ledger = simulator("100.0000001", 1600000001);
+      expect(ledger.simulate(swap.claim).result.code).to.be.equal("txTooLate");
+      expect(ledger.simulate(swap.refund).result.code).to.be.equal("txSuccess");
+      expect(ledger.getEntry(StellarBase.LedgerKey.trustline(alice.publicKey(), usd)).balance).to.be.equal("100");
+
+      let {result} = ledger.simulate(swap.cleanup);
+      expect(result.code).to.be.equal("txFailed");
+      expect(result.operations[0].code).to.be.equal("changeTrustInvalidLimit");
+    });
+
+    it("validates its options", function() {
+      let opts = {source, escrow, counterparty: bob.publicKey(), asset: usd, amount: "1", hash: hashX, refundTime: 1};
+      expect(() => StellarBase.AtomicSwap.lock(Object.assign({}, opts, {counterparty: "GBAD"}))).to.throw(/counterparty is invalid/);
+      expect(() => StellarBase.AtomicSwap.lock(Object.assign({}, opts, {hash: "abcd"}))).to.throw(/hash is invalid/);
+      expect(() => StellarBase.AtomicSwap.lock(Object.assign({}, opts, {asset: "USD"}))).to.throw(/asset must be an Asset/);
+      expect(() => StellarBase.AtomicSwap.lock(Object.assign({}, opts, {refundTime: undefined}))).to.throw(/refundTime is required/);
+    });
+  });
+
+  describe(".build()", function() {
+    let initiator;
+    let participant;
+
+    beforeEach(function() {
+      initiator = {
+        account: new StellarBase.Account(alice.publicKey(), "10"),
+        escrow: new StellarBase.Account(aliceEscrow.publicKey(), "100"),
+        asset: usd,
+        amount: "100",
+        refundTime: new Date(1600086400000)
+      };
+      participant = {
+        account: new StellarBase.Account(bob.publicKey(), "20"),
+        escrow: new StellarBase.Account(bobEscrow.publicKey(), "200"),
+        asset: StellarBase.Asset.native(),
+        amount: "500",
+        refundTime: 1600000000
+      };
+    });
+
+    it("builds the transactions of both parties", function() {
+      let swap = StellarBase.AtomicSwap.build({hash: hashX, initiator, participant, networkPassphrase});
+
+      expect(swap.initiator.lock.operations[0].asset.equals(usd)).to.be.true;
+      expect(swap.initiator.claim.operations[0].destination).to.be.equal(bob.publicKey());
+      expect(swap.initiator.refund.timeBounds.minTime).to.be.equal("1600086400");
+      expect(swap.participant.lock.operations[0].asset.isNative()).to.be.true;
+      expect(swap.participant.claim.operations[0]).to.deep.include({type: "payment", destination: alice.publicKey(), amount: "500"});
+      expect(swap.participant.cleanup.operations.map(op => op.type)).to.deep.equal(["accountMerge"]);
+      expect(swap.participant.cleanup.operations[0].destination).to.be.equal(bob.publicKey());
+      expect(swap.participant.refund.timeBounds.minTime).to.be.equal("1600000000");
+    });
+
+    it("requires the participant to be refunded first", function() {
+      participant.refundTime = 1600086400;
+      expect(() => StellarBase.AtomicSwap.build({hash: hashX, initiator, participant, networkPassphrase}))
+        .to.throw(/participant refundTime must be before initiator refundTime/);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Differential tests of StellarBase.verifyBatch against tweetnacl's verification
+describe('StellarBase#verifyBatch against tweetnacl', function() {
+  // tweetnacl verification is slow, even more with coverage instrumentation
+  this.timeout(30000);
+
+  let nacl = require("tweetnacl");
+
+  // the order of the base point, little-endian
+  let L = [0xed, 0xd3, 0xf5, 0x5c, 0x1a, 0x63, 0x12, 0x58, 0xd6, 0x9c, 0xf7, 0xa2, 0xde, 0xf9, 0xde, 0x14,
+           0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x10];
+
+  // encodings of the points of small order, canonical and not
+  let smallOrder = [
+    "0100000000000000000000000000000000000000000000000000000000000000",
+    "ecffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f",
+    "0000000000000000000000000000000000000000000000000000000000000000",
+    "0000000000000000000000000000000000000000000000000000000000000080",
+    "26e8958fc2b227b045c3f489f2ef98f0d5dfac05d3c63339b13802886d53fc05",
+    "26e8958fc2b227b045c3f489f2ef98f0d5dfac05d3c63339b13802886d53fc85",
+    "c7176a703d4dd84fba3c0b760d10670f2a2053fa2c39ccc64ec7fd7792ac037a",
+    "c7176a703d4dd84fba3c0b760d10670f2a2053fa2c39ccc64ec7fd7792ac03fa",
+    "0100000000000000000000000000000000000000000000000000000000000080",
+    "eeffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f",
+    "edffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f"
+  ].map(hex => new Buffer(hex, "hex"));
+
+  function naclVerify(item) {
+    if (item.signature.length !== 64 || item.publicKey.length !== 32) {
+      return false;
+    }
+    return nacl.sign.detached.verify(new Uint8Array(item.data), new Uint8Array(item.signature), new Uint8Array(item.publicKey));
+  }
+
+  function expectSameResults(items) {
+    let expected = items.map(naclVerify);
+    expect(StellarBase.verifyBatch(items)).to.eql(expected);
+    return expected;
+  }
+
+  // returns s + k * L, little-endian on 32 bytes
+  function addL(s, k) {
+    let result = new Buffer(32);
+    let carry = 0;
+    for (let i = 0; i < 32; i++) {
+      let sum = s[i] + k * L[i] + carry;
+      result[i] = sum & 0xff;
+      carry = sum >> 8;
+    }
+    return result;
+  }
+
+  function signature(R, s) {
+    return Buffer.concat([new Buffer(R), new Buffer(s)]);
+  }
+
+  function random(length) {
+    return new Buffer(nacl.randomBytes(length));
+  }
+
+  it("accepts valid signatures and rejects modified ones", function() {
+    let items = [];
+    for (let i = 0; i < 20; i++) {
+      let keypair = StellarBase.Keypair.random();
+      let data = random(i * 7);
+      let sig = keypair.sign(data);
+      items.push({data, signature: sig, publicKey: keypair.rawPublicKey()});
+
+      let modified = new Buffer(sig);
+      modified[(i * 13) % 64] ^= 1 << (i % 8);
+      items.push({data, signature: modified, publicKey: keypair.rawPublicKey()});
+    }
+    let results = expectSameResults(items);
+    expect(results.filter(result => result).length).to.equal(20);
+  });
+
+  it("does not reduce s, like tweetnacl", function() {
+    let items = [];
+    for (let k = 1; k <= 14; k++) {
+      let keypair = StellarBase.Keypair.random();
+      let data = new Buffer(`message ${k}`);
+      let sig = keypair.sign(data);
+      items.push({data, signature: signature(sig.slice(0, 32), addL(sig.slice(32), k)), publicKey: keypair.rawPublicKey()});
+    }
+    let keypair = StellarBase.Keypair.random();
+    let sig = keypair.sign(new Buffer("high s"));
+    let highS = new Buffer(32).fill(0xff);
+    items.push({data: new Buffer("high s"), signature: signature(sig.slice(0, 32), highS), publicKey: keypair.rawPublicKey()});
+    expectSameResults(items);
+  });
+
+  it("handles points of small order as R and as public key", function() {
+    let keypair = StellarBase.Keypair.random();
+    let data = new Buffer("small order");
+    let sig = keypair.sign(data);
+    let scalars = [new Buffer(32).fill(0), sig.slice(32), new Buffer(L), random(32)];
+
+    let items = [];
+    smallOrder.forEach(point => {
+      scalars.forEach(s => {
+        items.push({data, signature: signature(point, s), publicKey: keypair.rawPublicKey()});
+      });
+      smallOrder.concat([sig.slice(0, 32)]).forEach(R => {
+        scalars.forEach(s => {
+          items.push({data, signature: signature(R, s), publicKey: point});
+        });
+      });
+    });
+
+    let results = expectSameResults(items);
+    // the identity as public key and R, with s = 0 or L, is accepted by tweetnacl
+    expect(results.filter(result => result).length).to.be.above(0);
+  });
+
+  it("handles random public keys and signatures", function() {
+    let items = [];
+    for (let i = 0; i < 40; i++) {
+      items.push({data: random(i), signature: random(64), publicKey: random(32)});
+    }
+    expectSameResults(items);
+  });
+});
@@ -0,0 +1,59 @@
+describe('FeeStrategy', function() {
+  let operations = [StellarBase.Operation.inflation(), StellarBase.Operation.inflation()];
+
+  describe(".fixed()", function() {
+    it("returns the same fee whatever the number of operations", function() {
+      let strategy = StellarBase.FeeStrategy.fixed(500);
+      expect(strategy(operations)).to.be.equal(500);
+      expect(strategy([])).to.be.equal(500);
+    });
+
+    it("fails with an invalid fee", function() {
+      expect(() => StellarBase.FeeStrategy.fixed(-1)).to.throw(/fee must be a non-negative integer/);
+      expect(() => StellarBase.FeeStrategy.fixed(1.5)).to.throw(/fee must be a non-negative integer/);
+      expect(() => StellarBase.FeeStrategy.fixed("100")).to.throw(/fee must be a non-negative integer/);
+      expect(() => StellarBase.FeeStrategy.fixed(0x100000000)).to.throw(/fee must not be greater than 4294967295 stroops/);
+    });
+  });
+
+  describe(".perOperation()", function() {
+    it("charges the base fee for every operation", function() {
+      expect(StellarBase.FeeStrategy.perOperation()(operations)).to.be.equal(200);
+      expect(StellarBase.FeeStrategy.perOperation(300)(operations)).to.be.equal(600);
+    });
+  });
+
+  describe(".from()", function() {
+    it("accepts strategies, numbers and integer strings", function() {
+      let strategy = StellarBase.FeeStrategy.fixed(500);
+      expect(StellarBase.FeeStrategy.from(strategy)).to.be.equal(strategy);
+      expect(StellarBase.FeeStrategy.from(300)(operations)).to.be.equal(600);
+      expect(StellarBase.FeeStrategy.from("200")(operations)).to.be.equal(400);
+    });
+
+    it("fails with an invalid fee", function() {
+      expect(() => StellarBase.FeeStrategy.from("1.5")).to.throw(/baseFee must be a non-negative integer/);
+      expect(() => StellarBase.FeeStrategy.from("abc")).to.throw(/baseFee must be a non-negative integer/);
+    });
+  });
+
+  describe(".capped()", function() {
+    it("never charges more than the max fee", function() {
+      expect(StellarBase.FeeStrategy.capped(250)(operations)).to.be.equal(200);
+      expect(StellarBase.FeeStrategy.capped(250, 1000)(operations)).to.be.equal(250);
+      expect(StellarBase.FeeStrategy.capped(250, StellarBase.FeeStrategy.fixed(100))(operations)).to.be.equal(100);
+    });
+  });
+
+  describe(".compute()", function() {
+    it("fails when the fee overflows uint32", function() {
+      let strategy = StellarBase.FeeStrategy.perOperation(0xFFFFFFFF);
+      expect(StellarBase.FeeStrategy.compute(strategy, [operations[0]])).to.be.equal(0xFFFFFFFF);
+      expect(() => StellarBase.FeeStrategy.compute(strategy, operations)).to.throw(/fee must not be greater than 4294967295 stroops/);
+    });
+
+    it("fails when a custom strategy returns an invalid fee", function() {
+      expect(() => StellarBase.FeeStrategy.compute(() => undefined, operations)).to.throw(/fee must be a non-negative integer/);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+describe('HashX', function() {
+  let preimage = "a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2";
+  let expected = crypto.createHash('sha256').update(new Buffer(preimage, "hex")).digest();
+
+  it("computes the hash and the address of the preimage", function() {
+    let hashX = new StellarBase.HashX(preimage);
+    expect(hashX.preimage().toString("hex")).to.be.equal(preimage);
+    expect(hashX.hash().equals(expected)).to.be.true;
+    expect(hashX.address()).to.be.equal(StellarBase.StrKey.encodeSha256Hash(expected));
+    expect(hashX.address()).to.match(/^X/);
+  });
+
+  it("generates random preimages", function() {
+    let a = StellarBase.HashX.random();
+    let b = StellarBase.HashX.random(64);
+    expect(a.preimage().length).to.be.equal(32);
+    expect(b.preimage().length).to.be.equal(64);
+    expect(a.hash().equals(b.hash())).to.be.false;
+  });
+
+  it("fails with an invalid preimage", function() {
+    expect(() => new StellarBase.HashX(crypto.randomBytes(65))).to.throw(/preimage cannnot be longer than 64 bytes/);
+    expect(() => new StellarBase.HashX(12)).to.throw(/preimage must be a Buffer or hex string/);
+  });
+
+  it("checks the preimage matches a signer", function() {
+    let hashX = new StellarBase.HashX(preimage);
+    expect(hashX.matches(expected)).to.be.true;
+    expect(hashX.matches(expected.toString("hex"))).to.be.true;
+    expect(StellarBase.HashX.matches(preimage, hashX.address())).to.be.true;
+    expect(StellarBase.HashX.matches(preimage, StellarBase.HashX.random().address())).to.be.false;
+  });
+
+  it("creates the setOptions operation adding the signer", function() {
+    let hashX = new StellarBase.HashX(preimage);
+    let source = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+    let op = StellarBase.Operation.fromXDRObject(hashX.setOptions({weight: 3, source}));
+    expect(op.signer.sha256Hash.equals(expected)).to.be.true;
+    expect(op.signer.weight).to.be.equal(3);
+    expect(op.source).to.be.equal(source);
+    expect(hashX.signer()).to.deep.equal({sha256Hash: expected, weight: 1});
+  });
+
+  describe("#sign()", function() {
+    let tx;
+
+    beforeEach(function() {
+      tx = new StellarBase.TransactionBuilder(new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0"))
+        .addOperation(StellarBase.Operation.inflation())
+        .setTimeout(StellarBase.TimeoutInfinite)
+        .build();
+    });
+
+    it("signs the transaction with the preimage", function() {
+      let hashX = new StellarBase.HashX(preimage);
+      hashX.sign(tx, hashX.address());
+      expect(tx.signatures.length).to.be.equal(1);
+      expect(tx.signatures[0].signature().toString("hex")).to.be.equal(preimage);
+      expect(tx.signatures[0].hint().equals(expected.slice(28))).to.be.true;
+    });
+
+    it("does not sign when the preimage does not match the signer", function() {
+      let hashX = new StellarBase.HashX(preimage);
+      expect(() => hashX.sign(tx, StellarBase.HashX.random().address())).to.throw(/preimage does not match the hashX signer/);
+      expect(tx.signatures).to.be.empty;
+    });
+  });
+});
@@ -149,3 +149,42 @@ describe('Keypair.random', function() {
   });
 
 });
+
+describe('Keypair.fromMnemonic', function() {
+  let words = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+  it("creates a keypair from a SEP-0005 recovery phrase", function() {
+    expect(StellarBase.Keypair.fromMnemonic(words).publicKey()).to.equal("GB3JDWCQJCWMJ3IILWIGDTQJJC5567PGVEVXSCVPEQOTDN64VJBDQBYX");
+    expect(StellarBase.Keypair.fromMnemonic(words, "", 1).secret()).to.equal("SCHDCVCWGAKGIMTORV6K5DYYV3BY4WG3RA4M6MCBGJLHUCWU2MC6DL66");
+  });
+
+  it("uses the passphrase", function() {
+    let kp = StellarBase.Keypair.fromMnemonic(words, "stellar");
+    expect(kp.publicKey()).not.to.equal(StellarBase.Keypair.fromMnemonic(words).publicKey());
+  });
+
+  it("throws an error if the recovery phrase is invalid", function() {
+    expect(() => StellarBase.Keypair.fromMnemonic(words.replace("about", "abandon"))).to.throw(/Invalid mnemonic/);
+  });
+
+});
+
+describe('Keypair.master', function() {
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+  });
+
+  it("returns the master key of the given network", function() {
+    let kp = StellarBase.Keypair.master(StellarBase.Networks.TESTNET);
+    let expected = StellarBase.Keypair.fromRawEd25519Seed(StellarBase.hash(StellarBase.Networks.TESTNET));
+    expect(kp.publicKey()).to.be.equal(expected.publicKey());
+  });
+
+  it("falls back to the current network", function() {
+    expect(() => StellarBase.Keypair.master()).to.throw(/No network selected/);
+    StellarBase.Network.useTestNetwork();
+    expect(StellarBase.Keypair.master().publicKey()).to.be.equal(StellarBase.Keypair.master(StellarBase.Networks.TESTNET).publicKey());
+  });
+
+});
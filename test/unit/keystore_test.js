@@ -0,0 +1,76 @@
+describe('Keystore', function() {
+  let keypair = StellarBase.Keypair.fromSecret("SBGWSG6BTNCKCOB3DIFBGCVMUPQFYPA2G4O34RMTB343OYPXU5DJDVMN");
+  let password = "correct horse battery staple";
+  let keystore;
+
+  beforeEach(function() {
+    keystore = keypair.toKeystore(password, {iterations: 1000});
+  });
+
+  function tamper(mutate) {
+    let copy = JSON.parse(JSON.stringify(keystore));
+    mutate(copy);
+    return copy;
+  }
+
+  it("encrypts the secret key in a versioned JSON format", function() {
+    expect(keystore.version).to.be.equal(1);
+    expect(keystore.publicKey).to.be.equal(keypair.publicKey());
+    expect(keystore.crypto.kdf).to.be.equal("pbkdf2");
+    expect(keystore.crypto.kdfParams).to.include({digest: "sha256", iterations: 1000});
+    expect(keystore.crypto.kdfParams.salt).to.match(/^[0-9a-f]{64}$/);
+    expect(keystore.crypto.cipher).to.be.equal("xsalsa20-poly1305");
+    expect(keystore.crypto.nonce).to.match(/^[0-9a-f]{48}$/);
+    expect(keystore.crypto.ciphertext.length).to.be.equal(96);
+    expect(JSON.stringify(keystore)).not.to.contain(keypair.secret());
+  });
+
+  it("decrypts the secret key", function() {
+    expect(StellarBase.Keypair.fromKeystore(keystore, password).secret()).to.be.equal(keypair.secret());
+    expect(StellarBase.Keypair.fromKeystore(JSON.stringify(keystore), new Buffer(password)).secret()).to.be.equal(keypair.secret());
+    expect(StellarBase.Keystore.decrypt(keystore, password).equals(keypair.rawSecretKey())).to.be.true;
+  });
+
+  it("uses 100000 iterations by default", function() {
+    let defaultKeystore = keypair.toKeystore(password);
+    expect(defaultKeystore.crypto.kdfParams.iterations).to.be.equal(100000);
+    expect(StellarBase.Keypair.fromKeystore(defaultKeystore, password).publicKey()).to.be.equal(keypair.publicKey());
+  });
+
+  it("uses a random salt and nonce", function() {
+    let other = keypair.toKeystore(password, {iterations: 1000});
+    expect(other.crypto.kdfParams.salt).not.to.be.equal(keystore.crypto.kdfParams.salt);
+    expect(other.crypto.nonce).not.to.be.equal(keystore.crypto.nonce);
+  });
+
+  it("detects a wrong password", function() {
+    expect(() => StellarBase.Keypair.fromKeystore(keystore, "wrong password")).to.throw(/Wrong password or corrupted keystore/);
+  });
+
+  it("detects a modified keystore", function() {
+    let flip = hex => (hex[0] === "0" ? "1" : "0") + hex.slice(1);
+    let modified = [
+      tamper(k => { k.crypto.ciphertext = flip(k.crypto.ciphertext); }),
+      tamper(k => { k.crypto.nonce = flip(k.crypto.nonce); }),
+      tamper(k => { k.crypto.kdfParams.salt = flip(k.crypto.kdfParams.salt); }),
+      tamper(k => { k.crypto.kdfParams.iterations = 999; }),
+      tamper(k => { k.publicKey = StellarBase.Keypair.random().publicKey(); })
+    ];
+    modified.forEach(k => {
+      expect(() => StellarBase.Keypair.fromKeystore(k, password)).to.throw(/Wrong password or corrupted keystore/);
+    });
+  });
+
+  it("refuses invalid keystores", function() {
+    expect(() => StellarBase.Keypair.fromKeystore(tamper(k => { k.version = 2; }), password)).to.throw(/Unsupported keystore version: 2/);
+    expect(() => StellarBase.Keypair.fromKeystore(tamper(k => { k.crypto.kdf = "scrypt"; }), password)).to.throw(/unsupported kdf or cipher/);
+    expect(() => StellarBase.Keypair.fromKeystore(tamper(k => { k.crypto.nonce = "00"; }), password)).to.throw(/invalid crypto parameters/);
+    expect(() => StellarBase.Keypair.fromKeystore(tamper(k => { delete k.crypto.kdfParams.iterations; }), password)).to.throw(/invalid crypto parameters/);
+  });
+
+  it("requires a password and a secret key", function() {
+    expect(() => keypair.toKeystore("")).to.throw(/password must be a non-empty string or Buffer/);
+    expect(() => keypair.toKeystore(password, {iterations: 0})).to.throw(/iterations must be a positive integer/);
+    expect(() => StellarBase.Keypair.fromPublicKey(keypair.publicKey()).toKeystore(password)).to.throw(/no secret key available/);
+  });
+});
@@ -0,0 +1,157 @@
+describe('LedgerEntry', function() {
+  let xdr       = StellarBase.xdr;
+  let accountId = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let issuer    = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd       = new StellarBase.Asset("USD", issuer);
+
+  function ledgerEntry(data) {
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 42,
+      data,
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  describe("AccountEntry", function() {
+    let preAuthTx = new Buffer("a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2", "hex");
+    let input;
+
+    beforeEach(function() {
+      let account = new xdr.AccountEntry({
+        accountId: StellarBase.Keypair.fromPublicKey(accountId).xdrAccountId(),
+        balance: StellarBase.Hyper.fromString("1234567890"),
+        seqNum: xdr.SequenceNumber.fromString("8589934593"),
+        numSubEntries: 2,
+        inflationDest: null,
+        flags: StellarBase.AuthRequiredFlag | StellarBase.AuthRevocableFlag,
+        homeDomain: "stellar.org",
+        thresholds: new Buffer([1, 0, 2, 3]),
+        signers: [
+          new xdr.Signer({
+            key: xdr.SignerKey.signerKeyTypeEd25519(StellarBase.StrKey.decodeEd25519PublicKey(issuer)),
+            weight: 1
+          }),
+          new xdr.Signer({
+            key: xdr.SignerKey.signerKeyTypePreAuthTx(preAuthTx),
+            weight: 2
+          })
+        ],
+        ext: new xdr.AccountEntryExt(0)
+      });
+      input = ledgerEntry(xdr.LedgerEntryData.account(account)).toXDR('base64');
+    });
+
+    it("parses an account entry from base64", function() {
+      let entry = StellarBase.LedgerEntry.fromXDR(input);
+      expect(entry).to.be.instanceof(StellarBase.AccountEntry);
+      expect(entry.accountId).to.be.equal(accountId);
+      expect(entry.balance).to.be.equal("123.456789");
+      expect(entry.sequence).to.be.equal("8589934593");
+      expect(entry.numSubEntries).to.be.equal(2);
+      expect(entry.inflationDest).to.be.undefined;
+      expect(entry.homeDomain).to.be.equal("stellar.org");
+      expect(entry.masterWeight).to.be.equal(1);
+      expect(entry.lowThreshold).to.be.equal(0);
+      expect(entry.medThreshold).to.be.equal(2);
+      expect(entry.highThreshold).to.be.equal(3);
+      expect(entry.flags).to.deep.equal({authRequired: true, authRevocable: true, authImmutable: false});
+      expect(entry.signers.length).to.be.equal(2);
+      expect(entry.signers[0]).to.deep.equal({ed25519PublicKey: issuer, weight: 1});
+      expect(entry.signers[1].preAuthTx.toString('hex')).to.be.equal(preAuthTx.toString('hex'));
+      expect(entry.signers[1].weight).to.be.equal(2);
+      expect(entry.lastModifiedLedgerSeq).to.be.equal(42);
+    });
+
+    it("converts back to the same xdr", function() {
+      let entry = StellarBase.AccountEntry.fromXDR(input);
+      expect(entry.toXDRObject().toXDR('base64')).to.be.equal(input);
+    });
+
+    it("fails to parse an entry of a different type", function() {
+      expect(() => StellarBase.TrustLineEntry.fromXDR(input)).to.throw(/Invalid ledger entry type: account/);
+    });
+  });
+
+  describe("TrustLineEntry", function() {
+    it("parses and converts back a trustline entry", function() {
+      let trustLine = new xdr.TrustLineEntry({
+        accountId: StellarBase.Keypair.fromPublicKey(accountId).xdrAccountId(),
+        asset: usd.toXDRObject(),
+        balance: StellarBase.Hyper.fromString("50000000"),
+        limit: StellarBase.Hyper.fromString("1000000000"),
+        flags: 1,
+        ext: new xdr.TrustLineEntryExt(0)
+      });
+      let input = ledgerEntry(xdr.LedgerEntryData.trustline(trustLine));
+
+      let entry = StellarBase.TrustLineEntry.fromXDR(input);
+      expect(entry.accountId).to.be.equal(accountId);
+      expect(entry.asset.equals(usd)).to.be.true;
+      expect(entry.balance).to.be.equal("5");
+      expect(entry.limit).to.be.equal("100");
+      expect(entry.flags).to.deep.equal({authorized: true});
+      expect(entry.toXDRObject().toXDR('base64')).to.be.equal(input.toXDR('base64'));
+    });
+
+    it("requires an asset", function() {
+      expect(() => new StellarBase.TrustLineEntry({accountId, balance: "0", limit: "1"})).to.throw(/Must provide an asset/);
+    });
+  });
+
+  describe("OfferEntry", function() {
+    it("parses and converts back an offer entry", function() {
+      let offer = new xdr.OfferEntry({
+        sellerId: StellarBase.Keypair.fromPublicKey(accountId).xdrAccountId(),
+        offerId: StellarBase.UnsignedHyper.fromString("4294967297"),
+        selling: StellarBase.Asset.native().toXDRObject(),
+        buying: usd.toXDRObject(),
+        amount: StellarBase.Hyper.fromString("100000000"),
+        price: new xdr.Price({n: 1, d: 3}),
+        flags: 1,
+        ext: new xdr.OfferEntryExt(0)
+      });
+      let input = ledgerEntry(xdr.LedgerEntryData.offer(offer)).toXDR('base64');
+
+      let entry = StellarBase.LedgerEntry.fromXDR(input);
+      expect(entry).to.be.instanceof(StellarBase.OfferEntry);
+      expect(entry.sellerId).to.be.equal(accountId);
+      expect(entry.offerId).to.be.equal("4294967297");
+      expect(entry.selling.isNative()).to.be.true;
+      expect(entry.buying.equals(usd)).to.be.true;
+      expect(entry.amount).to.be.equal("10");
+      expect(entry.price).to.be.equal("0.33333333333333333333");
+      expect(entry.priceR).to.deep.equal({n: 1, d: 3});
+      expect(entry.flags).to.deep.equal({passive: true});
+      expect(entry.toXDRObject().toXDR('base64')).to.be.equal(input);
+    });
+
+    it("creates an offer entry from a decimal price", function() {
+      let entry = new StellarBase.OfferEntry({
+        sellerId: accountId,
+        offerId: 5,
+        selling: usd,
+        buying: StellarBase.Asset.native(),
+        amount: "1",
+        price: "2.5"
+      });
+      expect(entry.offerId).to.be.equal("5");
+      expect(entry.priceR).to.deep.equal({n: 5, d: 2});
+      expect(entry.flags).to.deep.equal({passive: false});
+    });
+  });
+
+  describe("DataEntry", function() {
+    it("creates a data entry and converts it to xdr", function() {
+      let entry = new StellarBase.DataEntry({accountId, name: "config", value: "value"});
+      let parsed = StellarBase.DataEntry.fromXDR(entry.toXDRObject().toXDR('base64'));
+      expect(parsed.accountId).to.be.equal(accountId);
+      expect(parsed.name).to.be.equal("config");
+      expect(parsed.value.toString()).to.be.equal("value");
+      expect(parsed.lastModifiedLedgerSeq).to.be.equal(0);
+    });
+
+    it("fails to create a data entry with an invalid name", function() {
+      expect(() => new StellarBase.DataEntry({accountId, name: 1, value: "value"})).to.throw(/name must be a string/);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+describe('LedgerKey', function() {
+  let accountId = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let issuer    = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd       = new StellarBase.Asset("USD", issuer);
+
+  describe(".account()", function() {
+    it("creates an account key", function() {
+      let key = StellarBase.LedgerKey.account(accountId);
+      expect(key).to.be.instanceof(StellarBase.xdr.LedgerKey);
+      expect(key.switch().name).to.be.equal("account");
+      expect(StellarBase.LedgerKey.fromXDRObject(key)).to.deep.equal({accountId});
+    });
+
+    it("fails to create an account key with an invalid account ID", function() {
+      expect(() => StellarBase.LedgerKey.account("GBBB")).to.throw(/accountId is invalid/);
+    });
+  });
+
+  describe(".trustline()", function() {
+    it("creates a trustline key", function() {
+      let key = StellarBase.LedgerKey.trustline(accountId, usd);
+      let obj = StellarBase.LedgerKey.fromXDRObject(key);
+      expect(key.switch().name).to.be.equal("trustline");
+      expect(obj.accountId).to.be.equal(accountId);
+      expect(obj.asset.equals(usd)).to.be.true;
+    });
+
+    it("fails to create a trustline key for the native asset", function() {
+      expect(() => StellarBase.LedgerKey.trustline(accountId, StellarBase.Asset.native())).to.throw(/asset must be a non-native Asset/);
+    });
+  });
+
+  describe(".offer()", function() {
+    it("creates an offer key", function() {
+      let key = StellarBase.LedgerKey.offer(accountId, "18446744073709551615");
+      expect(StellarBase.LedgerKey.fromXDRObject(key)).to.deep.equal({sellerId: accountId, offerId: "18446744073709551615"});
+    });
+
+    it("accepts a number offer ID", function() {
+      let key = StellarBase.LedgerKey.offer(accountId, 12);
+      expect(StellarBase.LedgerKey.fromXDRObject(key).offerId).to.be.equal("12");
+    });
+
+    it("fails to create an offer key with an invalid offer ID", function() {
+      expect(() => StellarBase.LedgerKey.offer(accountId, "-1")).to.throw(/offerId is invalid/);
+      expect(() => StellarBase.LedgerKey.offer(accountId)).to.throw(/offerId is invalid/);
+    });
+  });
+
+  describe(".data()", function() {
+    it("creates a data key", function() {
+      let key = StellarBase.LedgerKey.data(accountId, "config");
+      expect(StellarBase.LedgerKey.fromXDRObject(key)).to.deep.equal({accountId, name: "config"});
+    });
+
+    it("fails to create a data key with a too long name", function() {
+      expect(() => StellarBase.LedgerKey.data(accountId, new Array(66).join("a"))).to.throw(/name must be a string, up to 64 characters/);
+    });
+  });
+
+  describe(".fromLedgerEntry()", function() {
+    it("returns the key of a ledger entry", function() {
+      let entry = new StellarBase.TrustLineEntry({accountId, asset: usd, balance: "1", limit: "10"});
+      let expected = StellarBase.LedgerKey.trustline(accountId, usd);
+      let key = StellarBase.LedgerKey.fromLedgerEntry(entry.toXDRObject());
+      expect(key.toXDR('base64')).to.be.equal(expected.toXDR('base64'));
+      expect(entry.ledgerKey().toXDR('base64')).to.be.equal(expected.toXDR('base64'));
+    });
+  });
+
+  describe(".id()", function() {
+    it("returns the same string for equal keys", function() {
+      let a = StellarBase.LedgerKey.data(accountId, "config");
+      let b = StellarBase.LedgerKey.data(accountId, "config");
+      expect(StellarBase.LedgerKey.id(a)).to.be.equal(StellarBase.LedgerKey.id(b));
+      expect(StellarBase.LedgerKey.id(a)).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it("returns different strings for different keys", function() {
+      let a = StellarBase.LedgerKey.data(accountId, "config");
+      let b = StellarBase.LedgerKey.data(accountId, "config2");
+      let c = StellarBase.LedgerKey.account(accountId);
+      expect(StellarBase.LedgerKey.id(a)).not.to.be.equal(StellarBase.LedgerKey.id(b));
+      expect(StellarBase.LedgerKey.id(a)).not.to.be.equal(StellarBase.LedgerKey.id(c));
+    });
+
+    it("is the hex encoded hash of the key", function() {
+      let key = StellarBase.LedgerKey.account(accountId);
+      let expected = StellarBase.hash(key.toXDR()).toString('hex');
+      expect(StellarBase.LedgerKey.hash(key).toString('hex')).to.be.equal(expected);
+      expect(StellarBase.LedgerKey.id(key)).to.be.equal(expected);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+describe('Mnemonic', function() {
+  // test vectors from BIP-39 and SEP-0005
+  let abandon = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+  let illness = "illness spike retreat truth genius clock brain pass fit cave bargain toe";
+
+  describe(".fromEntropy()", function() {
+    it("encodes the entropy", function() {
+      expect(StellarBase.Mnemonic.fromEntropy("00000000000000000000000000000000")).to.be.equal(abandon);
+      expect(StellarBase.Mnemonic.fromEntropy("7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f7f"))
+        .to.be.equal("legal winner thank year wave sausage worth useful legal winner thank yellow");
+      expect(StellarBase.Mnemonic.fromEntropy("9f6a2878b2520799a44ef18bc7df394e7061a224d2c33cd015b157d746869863"))
+        .to.be.equal("panda eyebrow bullet gorilla call smoke muffin taste mesh discover soft ostrich alcohol speed nation flash devote level hobby quick inner drive ghost inside");
+      expect(StellarBase.Mnemonic.fromEntropy(new Buffer("6d9be1ee6ebd27a258115aad99b7317b9c8d28b6d76431c3", "hex")))
+        .to.be.equal("horn tenant knee talent sponsor spell gate clip pulse soap slush warm silver nephew swap uncle crack brave");
+    });
+
+    it("fails with an invalid entropy length", function() {
+      expect(() => StellarBase.Mnemonic.fromEntropy("0000")).to.throw(/entropy must be 16, 20, 24, 28 or 32 bytes/);
+    });
+  });
+
+  describe(".toEntropy()", function() {
+    it("decodes the phrase", function() {
+      expect(StellarBase.Mnemonic.toEntropy("zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong").toString("hex"))
+        .to.be.equal("ffffffffffffffffffffffffffffffff");
+      expect(StellarBase.Mnemonic.toEntropy(illness.split(" ")).length).to.be.equal(16);
+    });
+
+    it("fails with an invalid phrase", function() {
+      expect(() => StellarBase.Mnemonic.toEntropy("abandon abandon")).to.throw(/must have 12, 15, 18, 21 or 24 words/);
+      expect(() => StellarBase.Mnemonic.toEntropy(abandon.replace("about", "stellar"))).to.throw(/unknown word "stellar"/);
+      expect(() => StellarBase.Mnemonic.toEntropy(abandon.replace("about", "abandon"))).to.throw(/checksum does not match/);
+    });
+  });
+
+  describe(".generate()", function() {
+    it("generates valid phrases", function() {
+      expect(StellarBase.Mnemonic.generate().split(" ").length).to.be.equal(24);
+      let words = StellarBase.Mnemonic.generate(128);
+      expect(words.split(" ").length).to.be.equal(12);
+      expect(StellarBase.Mnemonic.isValid(words)).to.be.true;
+      expect(StellarBase.Mnemonic.isValid(`  ${words.replace(/ /g, "   ")}\n`)).to.be.true;
+      expect(() => StellarBase.Mnemonic.generate(100)).to.throw(/strength must be/);
+    });
+  });
+
+  describe(".toSeed()", function() {
+    it("returns the BIP-39 seed", function() {
+      expect(StellarBase.Mnemonic.toSeed(abandon, "TREZOR").toString("hex")).to.be.equal(
+        "c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04"
+      );
+      expect(StellarBase.Mnemonic.toSeed(illness).toString("hex")).to.be.equal(
+        "e4a5a632e70943ae7f07659df1332160937fad82587216a4c64315a0fb39497ee4a01f76ddab4cba68147977f3a147b6ad584c41808e8238a07f6cc4b582f186"
+      );
+    });
+  });
+
+  describe(".deriveSeed()", function() {
+    it("derives m/44'/148'/index'", function() {
+      let seed = StellarBase.Mnemonic.toSeed(illness);
+      expect(StellarBase.Mnemonic.deriveSeed(seed).toString("hex"))
+        .to.be.equal("4d691bc19b44a1383b1a0a130aaca3e05c3c1a371dbe45930ef9b761f7a74691");
+      expect(StellarBase.Mnemonic.deriveSeed(seed, 2).toString("hex"))
+        .to.be.equal("c085ac991481ef8e847eef47e53f6e0df51ab1673d707d5d85ad441803a6459b");
+      expect(() => StellarBase.Mnemonic.deriveSeed(seed, -1)).to.throw(/index must be an integer/);
+      expect(() => StellarBase.Mnemonic.deriveSeed(seed, 0x80000000)).to.throw(/index must be an integer/);
+    });
+  });
+
+  describe(".keypairs()", function() {
+    it("enumerates the accounts", function() {
+      let keypairs = StellarBase.Mnemonic.keypairs(illness, "", 0, 3);
+      expect(keypairs.map(k => k.publicKey())).to.deep.equal([
+        "GDRXE2BQUC3AZNPVFSCEZ76NJ3WWL25FYFK6RGZGIEKWE4SOOHSUJUJ6",
+        "GBAW5XGWORWVFE2XTJYDTLDHXTY2Q2MO73HYCGB3XMFMQ562Q2W2GJQX",
+        "GAY5PRAHJ2HIYBYCLZXTHID6SPVELOOYH2LBPH3LD4RUMXUW3DOYTLXW"
+      ]);
+      expect(StellarBase.Mnemonic.keypairs(illness, "", 2, 1)[0].secret())
+        .to.be.equal("SDAILLEZCSA67DUEP3XUPZJ7NYG7KGVRM46XA7K5QWWUIGADUZCZWTJP");
+      expect(StellarBase.Mnemonic.keypairs(illness).length).to.be.equal(10);
+    });
+  });
+});
@@ -62,6 +62,15 @@ describe('Operation', function() {
             expect(obj.asset.equals(asset)).to.be.true;
         });
 
+        it("decodes small amounts without exponent notation", function () {
+            var destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+            ["0.0000001", "0.000005", "922337203685.4775807"].forEach(amount => {
+                let op = StellarBase.Operation.payment({destination, asset: StellarBase.Asset.native(), amount});
+                var operation = StellarBase.xdr.Operation.fromXDR(op.toXDR());
+                expect(StellarBase.Operation.fromXDRObject(operation).amount).to.be.equal(amount);
+            });
+        });
+
         it("fails to create payment operation with an invalid destination address", function () {
             let opts = {
                 destination: 'GCEZW',
@@ -0,0 +1,204 @@
+describe('PaymentChannel', function() {
+  let initiator = StellarBase.Keypair.random();
+  let responder = StellarBase.Keypair.random();
+  let escrowKey = StellarBase.Keypair.random();
+  let networkPassphrase = StellarBase.Networks.TESTNET;
+  let expiry;
+  let channel;
+
+  function newChannel() {
+    return new StellarBase.PaymentChannel({
+      escrow: new StellarBase.Account(escrowKey.publicKey(), "4294967296"),
+      initiator: initiator.publicKey(),
+      responder: responder.publicKey(),
+      initiatorAmount: "100",
+      responderAmount: "20",
+      expiry,
+      disputePeriod: 3600,
+      networkPassphrase
+    });
+  }
+
+  function sign(update, keypair) {
+    update.declaration.sign(keypair);
+    update.close.sign(keypair);
+    return update;
+  }
+
+  beforeEach(function() {
+    expiry = Math.floor(Date.now() / 1000) + 86400;
+    channel = newChannel();
+  });
+
+  it("creates the escrow account", function() {
+    let source = new StellarBase.Account(initiator.publicKey(), "10");
+    let tx = StellarBase.PaymentChannel.createEscrow({source, escrow: escrowKey.publicKey(), networkPassphrase});
+    expect(tx.sequence).to.be.equal("11");
+    expect(tx.operations[0]).to.deep.include({type: "createAccount", destination: escrowKey.publicKey(), startingBalance: "5"});
+  });
+
+  it("builds the setup transaction", function() {
+    let tx = channel.setup(new StellarBase.Account(initiator.publicKey(), "10"));
+    let ops = tx.operations;
+    expect(tx.source).to.be.equal(initiator.publicKey());
+    expect(ops[0]).to.deep.include({type: "payment", destination: escrowKey.publicKey(), amount: "100"});
+    expect(ops[1]).to.deep.include({type: "payment", source: responder.publicKey(), amount: "20"});
+    expect(ops[2].signer).to.deep.equal({ed25519PublicKey: initiator.publicKey(), weight: 1});
+    expect(ops[3].signer).to.deep.equal({ed25519PublicKey: responder.publicKey(), weight: 1});
+    expect(ops[4]).to.deep.include({masterWeight: 0, lowThreshold: 2, medThreshold: 2, highThreshold: 2, source: escrowKey.publicKey()});
+
+    expect(() => channel.setup(new StellarBase.Account(responder.publicKey(), "10"))).to.throw(/not the initiator/);
+  });
+
+  it("builds the close transaction of version 0", function() {
+    let tx = channel.close();
+    expect(tx.source).to.be.equal(escrowKey.publicKey());
+    expect(tx.sequence).to.be.equal("4294967297");
+    expect(tx.timeBounds).to.deep.equal({minTime: String(expiry), maxTime: "0"});
+    expect(tx.operations[0]).to.deep.include({type: "payment", destination: responder.publicKey(), amount: "20"});
+    expect(tx.operations[1]).to.deep.include({type: "accountMerge", destination: initiator.publicKey()});
+  });
+
+  it("updates the channel once the update is accepted", function() {
+    let update = channel.update({initiator: "90", responder: "30"});
+    expect(channel.version).to.be.equal(0);
+    expect(update.declaration.sequence).to.be.equal("4294967297");
+    expect(update.declaration.timeBounds).to.deep.equal({minTime: "0", maxTime: String(expiry - 1)});
+    expect(update.declaration.operations.map(op => op.type)).to.deep.equal(["setOptions"]);
+    expect(update.close.sequence).to.be.equal("4294967298");
+    expect(update.close.timeBounds).to.deep.equal({minTime: String(expiry), maxTime: "0"});
+    sign(update, initiator);
+
+    let other = newChannel();
+    let state = other.acceptUpdate(update, initiator.publicKey());
+    expect(state).to.deep.equal({version: 1, balances: {initiator: "90", responder: "30"}});
+    expect(other.version).to.be.equal(1);
+    expect(other.close().hash().equals(update.close.hash())).to.be.true;
+    expect(other.declarations()).to.deep.equal([update.declaration]);
+
+    sign(update, responder);
+    channel.acceptUpdate(update, responder.publicKey());
+    expect(channel.balances).to.deep.equal({initiator: "90", responder: "30"});
+
+    let settlement = channel.settle();
+    expect(settlement.sequence).to.be.equal("4294967297");
+    expect(settlement.operations[0].amount).to.be.equal("30");
+    expect(Number(settlement.timeBounds.maxTime)).to.be.above(0);
+  });
+
+  it("ratchets the escrow sequence number with every version", function() {
+    for (let i = 1; i <= 30; i++) {
+      let update = sign(channel.update({initiator: String(100 - i), responder: String(20 + i)}), initiator);
+      channel.acceptUpdate(update, initiator.publicKey());
+    }
+    expect(channel.version).to.be.equal(30);
+    expect(channel.close().sequence).to.be.equal("4294967327");
+    expect(channel.declarations().map(tx => tx.sequence)[29]).to.be.equal("4294967326");
+    expect(channel.declarations(new StellarBase.Account(escrowKey.publicKey(), "4294967324")).length).to.be.equal(2);
+  });
+
+  it("closes with the latest version when an older declaration is submitted", function() {
+    let first = sign(sign(channel.update({initiator: "90", responder: "30"}), initiator), responder);
+    channel.acceptUpdate(first, initiator.publicKey());
+    let second = sign(sign(channel.update({initiator: "80", responder: "40"}), initiator), responder);
+    channel.acceptUpdate(second, initiator.publicKey());
+
+    let simulator = new StellarBase.TransactionSimulator([
+      new StellarBase.AccountEntry({
+        accountId: escrowKey.publicKey(),
+        balance: "125",
+        sequence: "4294967296",
+        numSubEntries: 2,
+        masterWeight: 0,
+        signers: [{ed25519PublicKey: initiator.publicKey(), weight: 1}, {ed25519PublicKey: responder.publicKey(), weight: 1}]
+      }),
+      new StellarBase.AccountEntry({accountId: initiator.publicKey(), balance: "10", sequence: "1"}),
+      new StellarBase.AccountEntry({accountId: responder.publicKey(), balance: "10", sequence: "1"})
+    ], {closeTime: expiry - 60});
+
+    // the initiator submits the declaration of version 1, the responder the declarations left
+    expect(simulator.simulate(first.declaration).result.code).to.be.equal("txSuccess");
+    let escrow = simulator.getEntry(StellarBase.LedgerKey.account(escrowKey.publicKey()));
+    let declarations = channel.declarations(new StellarBase.Account(escrowKey.publicKey(), escrow.sequence));
+    expect(declarations).to.deep.equal([second.declaration]);
+    expect(simulator.simulate(declarations[0]).result.code).to.be.equal("txSuccess");
+    expect(simulator.simulate(first.close).result.code).to.be.equal("txTooEarly");
+
+    simulator.closeTime = expiry;
+    expect(simulator.simulate(first.close).result.code).to.be.equal("txBadSeq");
+    expect(simulator.simulate(first.declaration).result.code).to.be.equal("txTooLate");
+    expect(simulator.simulate(second.close).result.code).to.be.equal("txSuccess");
+    expect(simulator.getEntry(StellarBase.LedgerKey.account(responder.publicKey())).balance).to.be.equal("50");
+  });
+
+  it("omits the payment when the responder balance is 0", function() {
+    let update = channel.update({initiator: "120", responder: "0"});
+    expect(update.close.operations.length).to.be.equal(1);
+    sign(update, responder);
+    expect(channel.acceptUpdate(update, responder.publicKey()).balances).to.deep.equal({initiator: "120", responder: "0"});
+  });
+
+  it("checks the balances of an update", function() {
+    expect(() => channel.update({initiator: "90", responder: "20"})).to.throw(/balances must add up to 120/);
+    expect(() => channel.update({initiator: "-10", responder: "130"})).to.throw(/balances.initiator/);
+  });
+
+  it("refuses an update during the dispute period", function() {
+    expiry = Math.floor(Date.now() / 1000) + 3000;
+    expect(() => newChannel().update({initiator: "90", responder: "30"})).to.throw(/dispute period has started/);
+  });
+
+  describe("#verifyUpdate()", function() {
+    it("refuses an update which is not signed by the counterparty", function() {
+      let update = sign(channel.update({initiator: "90", responder: "30"}), StellarBase.Keypair.random());
+      expect(() => channel.verifyUpdate(update, initiator.publicKey())).to.throw(/not signed by/);
+
+      update.close.sign(initiator);
+      expect(() => channel.verifyUpdate(update, initiator.publicKey())).to.throw(/not signed by/);
+    });
+
+    it("refuses an update which is not the next version", function() {
+      let old = sign(channel.update({initiator: "90", responder: "30"}), initiator);
+      channel.acceptUpdate(old, initiator.publicKey());
+      expect(() => channel.verifyUpdate(old, initiator.publicKey())).to.throw(/version 1 is not the next version 2/);
+
+      let other = newChannel();
+      for (let i = 0; i < 3; i++) {
+        other.acceptUpdate(sign(other.update({initiator: "90", responder: "30"}), initiator), initiator.publicKey());
+      }
+      let ahead = sign(other.update({initiator: "10", responder: "110"}), initiator);
+      expect(() => channel.verifyUpdate(ahead, initiator.publicKey())).to.throw(/version 4 is not the next version 2/);
+    });
+
+    it("refuses an update during the dispute period", function() {
+      let update = sign(channel.update({initiator: "90", responder: "30"}), initiator);
+      channel.expiry = channel.expiry.minus(86400 - 3000);
+      expect(() => channel.verifyUpdate(update, initiator.publicKey())).to.throw(/dispute period has started/);
+    });
+
+    it("refuses transactions which are not an update of the channel", function() {
+      let update = channel.update({initiator: "90", responder: "30"});
+      let tx = new StellarBase.TransactionBuilder(new StellarBase.Account(escrowKey.publicKey(), "4294967297"), {networkPassphrase})
+        .addOperation(StellarBase.Operation.payment({destination: responder.publicKey(), asset: StellarBase.Asset.native(), amount: "120"}))
+        .setTimeout(StellarBase.TimeoutInfinite)
+        .build();
+      tx.sign(initiator);
+      update.declaration.sign(initiator);
+      expect(() => channel.verifyUpdate({declaration: update.declaration, close: tx}, initiator.publicKey()))
+        .to.throw(/not the close transaction of version 1/);
+      expect(() => channel.verifyUpdate({declaration: tx, close: update.close}, initiator.publicKey()))
+        .to.throw(/version 2 is not the next version 1/);
+      expect(() => channel.verifyUpdate({declaration: update.close, close: update.close}, initiator.publicKey()))
+        .to.throw(/version 2 is not the next version 1/);
+
+      let source = new StellarBase.Account(initiator.publicKey(), "10");
+      let other = new StellarBase.TransactionBuilder(source, {networkPassphrase})
+        .addOperation(StellarBase.Operation.setOptions({}))
+        .setTimeout(StellarBase.TimeoutInfinite)
+        .build();
+      expect(() => channel.verifyUpdate({declaration: other, close: update.close}, initiator.publicKey()))
+        .to.throw(/not an update of the channel/);
+      expect(() => channel.verifyUpdate(update.close, initiator.publicKey())).to.throw(/not an update of the channel/);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+describe('PreAuthTx', function() {
+  let sourceId    = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let account;
+  let preAuth;
+
+  beforeEach(function() {
+    account = new StellarBase.Account(sourceId, "100");
+    preAuth = StellarBase.PreAuthTx.build(account, [StellarBase.Operation.accountMerge({destination})], {
+      timebounds: {minTime: "1500000000", maxTime: "0"},
+      timeout: StellarBase.TimeoutInfinite,
+      networkPassphrase: StellarBase.Networks.TESTNET
+    });
+  });
+
+  it("builds the future transaction after the signer transaction", function() {
+    expect(preAuth.transaction.sequence).to.be.equal("102");
+    expect(preAuth.transaction.timeBounds).to.deep.equal({minTime: "1500000000", maxTime: "0"});
+    expect(account.sequenceNumber()).to.be.equal("100");
+  });
+
+  it("accepts a sequence offset", function() {
+    let later = StellarBase.PreAuthTx.build(account, [StellarBase.Operation.inflation()], {sequenceOffset: 3, timeout: 60});
+    expect(later.transaction.sequence).to.be.equal("104");
+    expect(() => StellarBase.PreAuthTx.build(account, [], {sequenceOffset: -1})).to.throw(/sequenceOffset must be a non-negative number/);
+  });
+
+  it("returns the network bound hash and its address", function() {
+    let hash = preAuth.transaction.hash();
+    expect(preAuth.hash().equals(hash)).to.be.true;
+    expect(preAuth.address()).to.match(/^T/);
+    expect(StellarBase.StrKey.decodePreAuthTx(preAuth.address()).equals(hash)).to.be.true;
+
+    let pubnet = new StellarBase.Transaction(preAuth.transaction.toEnvelope(), StellarBase.Networks.PUBLIC);
+    expect(new StellarBase.PreAuthTx(pubnet).hash().equals(hash)).to.be.false;
+  });
+
+  it("creates the setOptions operation adding the signer", function() {
+    let lock = new StellarBase.TransactionBuilder(account, {networkPassphrase: StellarBase.Networks.TESTNET})
+      .addOperation(preAuth.setOptions({weight: 2}))
+      .setTimeout(30)
+      .build();
+
+    let op = lock.operations[0];
+    expect(lock.sequence).to.be.equal("101");
+    expect(op.type).to.be.equal("setOptions");
+    expect(op.source).to.be.equal(sourceId);
+    expect(op.signer.weight).to.be.equal(2);
+    expect(op.signer.preAuthTx.equals(preAuth.hash())).to.be.true;
+    expect(preAuth.signer()).to.deep.equal({preAuthTx: preAuth.hash(), weight: 1});
+
+    let remove = StellarBase.Operation.fromXDRObject(preAuth.setOptions({weight: 0, source: destination}));
+    expect(remove.signer.weight).to.be.equal(0);
+    expect(remove.source).to.be.equal(destination);
+  });
+});
@@ -0,0 +1,99 @@
+import BigNumber from 'bignumber.js';
+
+describe('SequenceAllocator', function() {
+  let accountId = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let allocator;
+
+  function buildTx(source) {
+    return new StellarBase.TransactionBuilder(source)
+      .addOperation(StellarBase.Operation.inflation())
+      .setTimeout(StellarBase.TimeoutInfinite)
+      .build();
+  }
+
+  beforeEach(function() {
+    allocator = new StellarBase.SequenceAllocator(new StellarBase.Account(accountId, "100"));
+  });
+
+  it("fails to create an allocator without an Account", function() {
+    expect(() => new StellarBase.SequenceAllocator(accountId)).to.throw(/account must be an Account/);
+  });
+
+  it("reserves consecutive sequence numbers", function() {
+    let first = allocator.reserve();
+    let second = allocator.reserve();
+    expect(first.accountId()).to.be.equal(accountId);
+    expect(first.sequenceNumber()).to.be.equal("100");
+    expect(second.sequenceNumber()).to.be.equal("101");
+    expect(buildTx(second).sequence).to.be.equal("102");
+    expect(allocator.pending()).to.deep.equal(["101", "102"]);
+    expect(allocator.current().toString()).to.be.equal("100");
+  });
+
+  it("moves the current sequence number over contiguous commits", function() {
+    allocator.reserve();
+    allocator.reserve();
+    allocator.reserve();
+
+    allocator.commit("102");
+    expect(allocator.current().toString()).to.be.equal("100");
+    allocator.commit("101");
+    expect(allocator.current()).to.be.instanceof(BigNumber);
+    expect(allocator.current().toString()).to.be.equal("102");
+    expect(allocator.pending()).to.deep.equal(["103"]);
+  });
+
+  it("hands out released sequence numbers again", function() {
+    allocator.reserve();
+    allocator.reserve();
+    allocator.reserve();
+
+    allocator.release("102");
+    expect(allocator.pending()).to.deep.equal(["101", "103"]);
+    expect(allocator.reserve().sequenceNumber()).to.be.equal("101");
+    expect(allocator.reserve().sequenceNumber()).to.be.equal("103");
+  });
+
+  it("forgets released sequence numbers at the end of the range", function() {
+    allocator.reserve();
+    allocator.reserve();
+    allocator.reserve();
+
+    allocator.release("102");
+    allocator.release("103");
+    expect(allocator.sequenceNumber()).to.be.equal("101");
+    expect(allocator.reserve().sequenceNumber()).to.be.equal("101");
+    expect(allocator.reserve().sequenceNumber()).to.be.equal("102");
+  });
+
+  it("refuses to commit or release a number which is not reserved", function() {
+    allocator.reserve();
+    allocator.commit("101");
+    expect(() => allocator.commit("102")).to.throw(/sequence 102 is not reserved/);
+    expect(() => allocator.release("101")).to.throw(/sequence 101 is not reserved/);
+
+    allocator.reserve();
+    allocator.reserve();
+    allocator.commit("103");
+    expect(() => allocator.release("103")).to.throw(/sequence 103 is already committed/);
+  });
+
+  it("is used as the source account of several builders", function() {
+    let discarded = buildTx(allocator);
+    let kept = buildTx(allocator);
+    expect(discarded.sequence).to.be.equal("101");
+    expect(kept.sequence).to.be.equal("102");
+
+    allocator.release(discarded.sequence);
+    allocator.commit(kept.sequence);
+    expect(buildTx(allocator).sequence).to.be.equal("101");
+  });
+
+  it("forgets all the reservations when reset", function() {
+    allocator.reserve();
+    allocator.reset("200");
+    expect(allocator.pending()).to.be.empty;
+    expect(allocator.current().toString()).to.be.equal("200");
+    expect(allocator.reserve().sequenceNumber()).to.be.equal("200");
+  });
+});
@@ -51,3 +51,202 @@ describe('StellarBase#verify', function() {
     expect(StellarBase.verify(data, badSig, publicKey)).to.be.falsey;
   });
 });
+
+describe('StellarBase#verifyBatch', function() {
+  let sig = new Buffer("587d4b472eeef7d07aafcd0b049640b0bb3f39784118c2e2b73a04fa2f64c9c538b4b2d0f5335e968a480021fdc23e98c0ddf424cb15d8131df8cb6c4bb58309", 'hex');
+
+  it("verifies each item like verify", function() {
+    let keypairs = [StellarBase.Keypair.random(), StellarBase.Keypair.random(), StellarBase.Keypair.random()];
+    let items = [];
+    for (let i = 0; i < 30; i++) {
+      let keypair = keypairs[i % 3];
+      let data = new Buffer(`message ${i}`);
+      let signature = keypair.sign(data);
+      if (i % 4 === 1) {
+        signature[i % 64] ^= 1;
+      }
+      if (i % 5 === 2) {
+        data = new Buffer("corrupted");
+      }
+      items.push({data, signature, publicKey: keypair.rawPublicKey()});
+    }
+
+    let expected = items.map(item => StellarBase.verify(item.data, item.signature, item.publicKey));
+    expect(StellarBase.verifyBatch(items)).to.eql(expected);
+    expect(expected.filter(result => result).length).to.equal(17);
+  });
+
+  it("accepts strings and arrays of bytes", function() {
+    let data = [ 104, 101, 108, 108, 111, 32, 119, 111, 114, 108, 100 ];
+    let results = StellarBase.verifyBatch([
+      {data: "hello world", signature: sig, publicKey},
+      {data, signature: sig, publicKey},
+      {data: "corrupted", signature: sig, publicKey}
+    ]);
+    expect(results).to.eql([true, true, false]);
+  });
+
+  it("rejects malformed signatures and public keys", function() {
+    let data = "hello world";
+    let notOnCurve = new Buffer(32).fill(0xff);
+    let highS = Buffer.concat([sig.slice(0, 32), new Buffer(32).fill(0xff)]);
+    let results = StellarBase.verifyBatch([
+      {data, signature: sig.slice(0, 63), publicKey},
+      {data, signature: sig, publicKey: publicKey.slice(0, 31)},
+      {data, signature: sig, publicKey: notOnCurve},
+      {data, signature: highS, publicKey},
+      {data, signature: sig, publicKey}
+    ]);
+    expect(results).to.eql([false, false, false, false, true]);
+  });
+
+  it("returns an empty array for an empty batch", function() {
+    expect(StellarBase.verifyBatch([])).to.eql([]);
+  });
+});
+
+describe('StellarBase#signAsync', function() {
+  let expectedSig = "587d4b472eeef7d07aafcd0b049640b0bb3f39784118c2e2b73a04fa2f64c9c538b4b2d0f5335e968a480021fdc23e98c0ddf424cb15d8131df8cb6c4bb58309";
+
+  it("signs like the synchronous path", function(done) {
+    StellarBase.signAsync("hello world", secretKey)
+      .then(signature => {
+        expect(signature.toString('hex')).to.eql(expectedSig);
+        done();
+      })
+      .catch(done);
+  });
+
+  it("rejects an invalid secret key", function(done) {
+    StellarBase.signAsync("hello world", new Buffer("00", 'hex'))
+      .then(() => done(new Error("should have failed")), () => done());
+  });
+});
+
+describe('StellarBase#verifyAsync', function() {
+  let sig = new Buffer("587d4b472eeef7d07aafcd0b049640b0bb3f39784118c2e2b73a04fa2f64c9c538b4b2d0f5335e968a480021fdc23e98c0ddf424cb15d8131df8cb6c4bb58309", 'hex');
+
+  it("verifies like the synchronous path", function(done) {
+    Promise.all([
+      StellarBase.verifyAsync("hello world", sig, publicKey),
+      StellarBase.verifyAsync("corrupted", sig, publicKey)
+    ]).then(results => {
+      expect(results).to.eql([true, false]);
+      done();
+    }).catch(done);
+  });
+});
+
+describe('StellarBase#signBatchAsync', function() {
+  // signing and verifying every item with tweetnacl takes about the default 2s timeout on a slow machine
+  this.timeout(10000);
+
+  let keypairs = [StellarBase.Keypair.random(), StellarBase.Keypair.random()];
+  // more than one chunk
+  let items = [];
+  for (let i = 0; i < 70; i++) {
+    items.push({data: new Buffer(`message ${i}`), secretKey: keypairs[i % 2]._secretKey});
+  }
+
+  [0, 2].forEach(workers => {
+    it(`signs many messages in order with ${workers} workers`, function(done) {
+      StellarBase.signBatchAsync(items, {workers})
+        .then(signatures => {
+          expect(signatures.length).to.equal(70);
+          signatures.forEach((signature, i) => {
+            expect(signature).to.eql(StellarBase.sign(items[i].data, items[i].secretKey));
+          });
+          return StellarBase.verifyBatchAsync(items.map((item, i) => ({
+            data: item.data,
+            signature: signatures[i === 7 ? 8 : i],
+            publicKey: keypairs[i % 2].rawPublicKey()
+          })), {workers});
+        })
+        .then(results => {
+          expect(results.length).to.equal(70);
+          expect(results.filter(result => !result)).to.eql([false]);
+          expect(results[7]).to.be.false;
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  [0, 2].forEach(workers => {
+    it(`verifies malformed items like verifyBatch with ${workers} workers`, function(done) {
+      let signature = StellarBase.sign(items[0].data, items[0].secretKey);
+      let batch = [
+        {data: items[0].data, signature: signature.slice(0, 63), publicKey: keypairs[0].rawPublicKey()},
+        {data: items[0].data, signature, publicKey: keypairs[0].rawPublicKey().slice(0, 31)},
+        {data: items[0].data, signature, publicKey: keypairs[0].rawPublicKey()}
+      ];
+      StellarBase.verifyBatchAsync(batch, {workers})
+        .then(results => {
+          expect(results).to.eql([false, false, true]);
+          expect(results).to.eql(StellarBase.verifyBatch(batch));
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  let workerThreads;
+  try {
+    workerThreads = require("worker_threads");
+  } catch (err) {
+    // node < 10.5, or node 10 without --experimental-worker (npm test passes it): the batches are processed in chunks
+  }
+
+  function withWorker(Worker, fn) {
+    let original = workerThreads.Worker;
+    workerThreads.Worker = Worker;
+    return fn().then(
+      result => {
+        workerThreads.Worker = original;
+        return result;
+      },
+      err => {
+        workerThreads.Worker = original;
+        throw err;
+      });
+  }
+
+  (workerThreads ? it : it.skip)("runs the batch in worker threads", function(done) {
+    let Worker = workerThreads.Worker;
+    let created = 0;
+    let counting = function(source, opts) {
+      created++;
+      return new Worker(source, opts);
+    };
+
+    withWorker(counting, () => StellarBase.signBatchAsync(items.slice(0, 4), {workers: 2}))
+      .then(signatures => {
+        expect(created).to.equal(2);
+        expect(signatures[3]).to.eql(StellarBase.sign(items[3].data, items[3].secretKey));
+        done();
+      })
+      .catch(done);
+  });
+
+  (workerThreads ? it : it.skip)("rejects when a worker exits without results", function(done) {
+    let Worker = workerThreads.Worker;
+    let exiting = () => new Worker("", {eval: true});
+
+    withWorker(exiting, () => StellarBase.signBatchAsync(items.slice(0, 2), {workers: 1}))
+      .then(() => done(new Error("expected a rejection")))
+      .catch(err => {
+        expect(err.message).to.match(/Worker stopped with exit code 0/);
+        done();
+      })
+      .catch(done);
+  });
+
+  it("resolves an empty batch", function(done) {
+    StellarBase.signBatchAsync([])
+      .then(signatures => {
+        expect(signatures).to.eql([]);
+        done();
+      })
+      .catch(done);
+  });
+});
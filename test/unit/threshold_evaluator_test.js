@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+
+describe('ThresholdEvaluator', function() {
+  let master   = StellarBase.Keypair.random();
+  let cosigner = StellarBase.Keypair.random();
+  let other    = StellarBase.Keypair.random();
+  let issuer   = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let account;
+
+  function buildTx(...operations) {
+    let builder = new StellarBase.TransactionBuilder(new StellarBase.Account(master.publicKey(), "0"));
+    operations.forEach(op => builder.addOperation(op));
+    return builder.setTimeout(StellarBase.TimeoutInfinite).build();
+  }
+
+  let payment = () => StellarBase.Operation.payment({destination: issuer, asset: StellarBase.Asset.native(), amount: "1"});
+
+  beforeEach(function() {
+    StellarBase.Network.useTestNetwork();
+    account = new StellarBase.AccountEntry({
+      accountId: master.publicKey(),
+      balance: "100",
+      masterWeight: 1,
+      lowThreshold: 1,
+      medThreshold: 2,
+      highThreshold: 3,
+      signers: [{ed25519PublicKey: cosigner.publicKey(), weight: 1}]
+    });
+  });
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+  });
+
+  it("authorizes a transaction when the thresholds are met", function() {
+    let tx = buildTx(payment());
+    tx.sign(master, cosigner);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.authorized).to.be.true;
+    expect(result.transaction.threshold).to.be.equal("low");
+    expect(result.transaction.authorized).to.be.true;
+    expect(result.operations[0].type).to.be.equal("payment");
+    expect(result.operations[0].threshold).to.be.equal("medium");
+    expect(result.operations[0].weight).to.be.equal(2);
+    expect(result.operations[0].missingWeight).to.be.equal(0);
+    expect(result.operations[0].signers).to.deep.equal([
+      {ed25519PublicKey: master.publicKey(), weight: 1},
+      {ed25519PublicKey: cosigner.publicKey(), weight: 1}
+    ]);
+    expect(result.unusedSignatures).to.be.empty;
+  });
+
+  it("reports the missing weight", function() {
+    let tx = buildTx(payment(), StellarBase.Operation.setOptions({highThreshold: 2}));
+    tx.sign(master);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.authorized).to.be.false;
+    expect(result.transaction.authorized).to.be.true;
+    expect(result.operations[0].missingWeight).to.be.equal(1);
+    expect(result.operations[1].threshold).to.be.equal("high");
+    expect(result.operations[1].required).to.be.equal(3);
+    expect(result.operations[1].weight).to.be.equal(1);
+    expect(result.operations[1].missingWeight).to.be.equal(2);
+  });
+
+  it("checks the source account of every operation", function() {
+    let op = StellarBase.Operation.allowTrust({trustor: issuer, assetCode: "USD", authorize: true, source: other.publicKey()});
+    let otherAccount = new StellarBase.AccountEntry({accountId: other.publicKey(), balance: "1"});
+    let tx = buildTx(op);
+    tx.sign(master);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account, otherAccount]);
+    expect(result.operations[0].accountId).to.be.equal(other.publicKey());
+    expect(result.operations[0].threshold).to.be.equal("low");
+    expect(result.operations[0].authorized).to.be.false;
+    expect(result.operations[0].missingWeight).to.be.equal(1);
+
+    tx.sign(other);
+    result = StellarBase.ThresholdEvaluator.evaluate(tx, [account, otherAccount]);
+    expect(result.authorized).to.be.true;
+  });
+
+  it("fails when a source account is missing", function() {
+    let tx = buildTx(StellarBase.Operation.inflation({source: other.publicKey()}));
+    expect(() => StellarBase.ThresholdEvaluator.evaluate(tx, [account])).to.throw(/Missing account/);
+  });
+
+  it("ignores invalid signatures and reports them as unused", function() {
+    let tx = buildTx(payment());
+    let forged = other.signDecorated(tx.hash());
+    forged._attributes.hint = master.signatureHint();
+    tx.signatures.push(forged);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.authorized).to.be.false;
+    expect(result.transaction.weight).to.be.equal(0);
+    expect(result.unusedSignatures.length).to.be.equal(1);
+  });
+
+  it("does not count a master key with weight 0", function() {
+    account.masterWeight = 0;
+    account.lowThreshold = 0;
+    let tx = buildTx(StellarBase.Operation.inflation());
+    tx.sign(master);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.transaction.authorized).to.be.false;
+    expect(result.transaction.missingWeight).to.be.equal(1);
+  });
+
+  it("understands hashX signers", function() {
+    let preimage = crypto.randomBytes(64);
+    account.signers.push({sha256Hash: StellarBase.hash(preimage), weight: 2});
+    let tx = buildTx(payment());
+    tx.signHashX(preimage);
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.authorized).to.be.true;
+    expect(result.operations[0].signers[0].weight).to.be.equal(2);
+  });
+
+  it("understands preAuthTx signers", function() {
+    let tx = buildTx(payment());
+    account.signers.push({preAuthTx: tx.hash(), weight: 2});
+
+    let result = StellarBase.ThresholdEvaluator.evaluate(tx, [account]);
+    expect(result.authorized).to.be.true;
+    expect(result.operations[0].signers[0].preAuthTx.equals(tx.hash())).to.be.true;
+  });
+
+  describe(".operationThreshold()", function() {
+    it("returns the threshold needed by the operation", function() {
+      let threshold = StellarBase.ThresholdEvaluator.operationThreshold;
+      expect(threshold({type: "inflation"})).to.be.equal("low");
+      expect(threshold({type: "accountMerge"})).to.be.equal("high");
+      expect(threshold({type: "manageData"})).to.be.equal("medium");
+      expect(threshold({type: "setOptions", homeDomain: "stellar.org"})).to.be.equal("medium");
+      expect(threshold({type: "setOptions", masterWeight: 0})).to.be.equal("high");
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import map from 'lodash/map';
+
 describe('TransactionBuilder', function() {
 
     describe("constructs a native payment transaction with one operation", function() {
@@ -21,6 +23,7 @@ describe('TransactionBuilder', function() {
                     amount: amount
                 }))
                 .addMemo(memo)
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build();
         });
 
@@ -81,6 +84,7 @@ describe('TransactionBuilder', function() {
                   asset: asset,
                   amount: amount2
               }))
+              .setTimeout(StellarBase.TimeoutInfinite)
               .build();
         });
 
@@ -142,6 +146,7 @@ describe('TransactionBuilder', function() {
                   asset: asset,
                   amount: amount2
               }))
+              .setTimeout(StellarBase.TimeoutInfinite)
               .build();
         });
 
@@ -171,5 +176,317 @@ describe('TransactionBuilder', function() {
             expect(transaction.timeBounds.maxTime).to.be.equal(timebounds.maxTime);
             done();
         });
+
+        it("should not mutate the given timebounds", function () {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0");
+            let timebounds = {minTime: 1455287522, maxTime: 1455297545};
+            let builder = new StellarBase.TransactionBuilder(source, {timebounds})
+              .addOperation(StellarBase.Operation.inflation());
+            builder.build();
+            builder.build();
+
+            expect(timebounds).to.deep.equal({minTime: 1455287522, maxTime: 1455297545});
+        });
+    });
+
+    describe("time bounds helpers", function() {
+        let source;
+        let builder;
+
+        beforeEach(function() {
+            source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0");
+            builder = new StellarBase.TransactionBuilder(source).addOperation(StellarBase.Operation.inflation());
+        });
+
+        it("should refuse to build without an upper time bound", function () {
+            expect(() => builder.build()).to.throw(/TimeBounds has to be set or you must call setTimeout\(TimeoutInfinite\)/);
+            builder.setTimebounds(100, 0);
+            expect(() => builder.build()).to.throw(/TimeBounds has to be set/);
+            expect(source.sequenceNumber()).to.be.equal("0");
+        });
+
+        it("should build without time bounds when opted into", function () {
+            let transaction = builder.setTimeout(StellarBase.TimeoutInfinite).build();
+            expect(transaction.timeBounds).to.be.undefined;
+        });
+
+        it("should keep the minimum time of an infinite timeout", function () {
+            let transaction = builder.setTimebounds(100, 0).setTimeout(StellarBase.TimeoutInfinite).build();
+            expect(transaction.timeBounds).to.deep.equal({minTime: "100", maxTime: "0"});
+        });
+
+        it("should set the maximum time from a timeout", function () {
+            let now = Math.floor(Date.now() / 1000);
+            let transaction = builder.setTimeout(30).build();
+            expect(transaction.timeBounds.minTime).to.be.equal("0");
+            expect(Number(transaction.timeBounds.maxTime)).to.be.within(now + 30, now + 31);
+        });
+
+        it("should refuse to overwrite the maximum time with a timeout", function () {
+            builder.setTimebounds(0, 100);
+            expect(() => builder.setTimeout(30)).to.throw(/TimeBounds.maxTime has been already set/);
+            expect(() => builder.setTimeout(-1)).to.throw();
+        });
+
+        it("should accept dates and unix timestamps", function () {
+            let transaction = builder.setTimebounds(new Date(1455287522000), "18446744073709551615").build();
+            expect(transaction.timeBounds).to.deep.equal({minTime: "1455287522", maxTime: "18446744073709551615"});
+        });
+
+        it("should validate the time bounds", function () {
+            expect(() => builder.setTimebounds(200, 100)).to.throw(/minTime cannot be greater than maxTime/);
+            expect(() => builder.setTimebounds(-1, 100)).to.throw(/minTime must be a Date or a unix timestamp/);
+            expect(() => builder.setTimebounds(0, "18446744073709551616")).to.throw(/maxTime must be a Date or a unix timestamp/);
+            expect(() => builder.setTimebounds(0, 1.5)).to.throw(/maxTime must be a Date or a unix timestamp/);
+            expect(() => new StellarBase.TransactionBuilder(source, {timebounds: {minTime: 2, maxTime: 1}})).to.throw(/minTime cannot be greater than maxTime/);
+        });
+    });
+
+    describe("constructs a transaction with a network passphrase", function() {
+        it("should carry the network passphrase", function () {
+            let source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0");
+            let transaction = new StellarBase.TransactionBuilder(source, {networkPassphrase: StellarBase.Networks.TESTNET})
+              .addOperation(StellarBase.Operation.inflation())
+              .setTimeout(StellarBase.TimeoutInfinite)
+              .build();
+
+            expect(transaction.networkPassphrase).to.be.equal(StellarBase.Networks.TESTNET);
+            StellarBase.Network.use(null);
+            expect(() => transaction.hash()).not.to.throw();
+        });
+    });
+
+    describe("constructs a transaction with a fee strategy", function() {
+        let source;
+        let payment = () => StellarBase.Operation.payment({
+            destination: "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2",
+            asset: StellarBase.Asset.native(),
+            amount: "1"
+        });
+
+        beforeEach(function() {
+            source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "0");
+        });
+
+        it("should use the strategy fee", function () {
+            let transaction = new StellarBase.TransactionBuilder(source, {fee: StellarBase.FeeStrategy.fixed(150)})
+              .addOperation(payment())
+              .addOperation(payment())
+              .setTimeout(StellarBase.TimeoutInfinite)
+              .build();
+            expect(transaction.fee).to.be.equal(150);
+        });
+
+        it("should accept a fee per operation as a string", function () {
+            let transaction = new StellarBase.TransactionBuilder(source, {fee: "200"})
+              .addOperation(payment())
+              .addOperation(payment())
+              .setTimeout(StellarBase.TimeoutInfinite)
+              .build();
+            expect(transaction.fee).to.be.equal(400);
+        });
+
+        it("should pass the operations to a custom strategy", function () {
+            let received;
+            let transaction = new StellarBase.TransactionBuilder(source)
+              .addOperation(payment())
+              .setFee(operations => {
+                  received = operations;
+                  return 1234;
+              })
+              .setTimeout(StellarBase.TimeoutInfinite)
+              .build();
+            expect(transaction.fee).to.be.equal(1234);
+            expect(received.length).to.be.equal(1);
+            expect(received[0]).to.be.instanceof(StellarBase.xdr.Operation);
+        });
+
+        it("should fail when the fee overflows uint32", function () {
+            let builder = new StellarBase.TransactionBuilder(source, {fee: 0x80000000})
+              .addOperation(payment())
+              .addOperation(payment())
+              .setTimeout(StellarBase.TimeoutInfinite);
+            expect(() => builder.build()).to.throw(/fee must not be greater than 4294967295 stroops/);
+            expect(source.sequenceNumber()).to.be.equal("0");
+        });
+    });
+
+    describe("validation", function() {
+        let sourceId = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+        let other = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+        let source;
+
+        beforeEach(function() {
+            source = new StellarBase.Account(sourceId, "0");
+        });
+
+        it("should refuse transactions without operations", function () {
+            let builder = new StellarBase.TransactionBuilder(source).setTimeout(StellarBase.TimeoutInfinite);
+            expect(builder.validate()).to.deep.equal([
+                {index: null, code: "missingOperation", message: "transaction must contain at least one operation"}
+            ]);
+
+            let error;
+            try {
+                builder.build();
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/Invalid transaction: transaction must contain at least one operation/);
+            expect(error.errors[0].code).to.be.equal("missingOperation");
+            expect(source.sequenceNumber()).to.be.equal("0");
+        });
+
+        it("should refuse transactions with more than 100 operations", function () {
+            let builder = new StellarBase.TransactionBuilder(source).setTimeout(StellarBase.TimeoutInfinite);
+            for (let i = 0; i < 100; i++) {
+                builder.addOperation(StellarBase.Operation.inflation());
+            }
+            expect(builder.validate()).to.be.empty;
+
+            builder.addOperation(StellarBase.Operation.inflation());
+            expect(builder.validate()[0].code).to.be.equal("tooManyOperations");
+            expect(() => builder.build()).to.throw(/transaction must contain at most 100 operations/);
+        });
+
+        it("should report likely mistakes in strict mode", function () {
+            let builder = new StellarBase.TransactionBuilder(source)
+              .addOperation(StellarBase.Operation.manageData({name: "a", value: "1"}))
+              .addOperation(StellarBase.Operation.manageData({name: "a", value: "1", source: other}))
+              .addOperation(StellarBase.Operation.accountMerge({destination: other}))
+              .addOperation(StellarBase.Operation.manageData({name: "a", value: "2"}))
+              .addOperation(StellarBase.Operation.inflation({source: other}))
+              .setTimeout(StellarBase.TimeoutInfinite);
+
+            expect(builder.validate()).to.be.empty;
+            expect(builder.validate({strict: true})).to.deep.equal([
+                {index: 3, code: "mergedAccountSource", message: `operation 3 source account ${sourceId} is merged by a previous operation`},
+                {index: 3, code: "duplicateDataName", message: `operation 3 overwrites data entry "a" set by a previous operation`}
+            ]);
+            expect(() => builder.build()).not.to.throw();
+        });
+
+        it("should refuse likely mistakes when strict", function () {
+            let builder = new StellarBase.TransactionBuilder(source, {strict: true})
+              .addOperation(StellarBase.Operation.accountMerge({destination: other}))
+              .addOperation(StellarBase.Operation.inflation())
+              .setTimeout(StellarBase.TimeoutInfinite);
+
+            expect(() => builder.build()).to.throw(/operation 1 source account .* is merged by a previous operation/);
+        });
+    });
+
+    describe("constructs a builder from a transaction", function() {
+        let source = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+        let transaction;
+
+        beforeEach(function() {
+            transaction = new StellarBase.TransactionBuilder(new StellarBase.Account(source, "41"), {
+                fee: 300,
+                memo: StellarBase.Memo.text("original"),
+                timebounds: {minTime: "10", maxTime: "20"},
+                networkPassphrase: StellarBase.Networks.TESTNET
+              })
+              .addOperation(StellarBase.Operation.payment({destination, asset: StellarBase.Asset.native(), amount: "1"}))
+              .addOperation(StellarBase.Operation.inflation())
+              .build();
+            transaction.sign(StellarBase.Keypair.random());
+        });
+
+        it("should rebuild the same transaction without signatures", function () {
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(transaction).build();
+
+            expect(rebuilt.signatures).to.be.empty;
+            expect(rebuilt.networkPassphrase).to.be.equal(StellarBase.Networks.TESTNET);
+            expect(rebuilt.tx.toXDR('base64')).to.be.equal(transaction.tx.toXDR('base64'));
+            expect(rebuilt.hash().equals(transaction.hash())).to.be.true;
+        });
+
+        it("should allow to change the memo and drop operations", function () {
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(transaction)
+              .addMemo(StellarBase.Memo.text("edited"))
+              .removeOperation(1)
+              .build();
+
+            expect(rebuilt.sequence).to.be.equal("42");
+            expect(rebuilt.fee).to.be.equal(300);
+            expect(rebuilt.memo.value).to.be.equal("edited");
+            expect(rebuilt.operations.length).to.be.equal(1);
+            expect(rebuilt.operations[0].type).to.be.equal("payment");
+            expect(rebuilt.timeBounds).to.deep.equal({minTime: "10", maxTime: "20"});
+            expect(transaction.operations.length).to.be.equal(2);
+        });
+
+        it("should keep a total fee which is not a multiple of the number of operations", function () {
+            let envelope = transaction.toEnvelope();
+            envelope.tx().fee(301);
+            envelope.tx().timeBounds(null);
+
+            let rebuilt = StellarBase.TransactionBuilder.fromTransaction(new StellarBase.Transaction(envelope))
+              .removeOperation(0)
+              .build();
+            expect(rebuilt.fee).to.be.equal(301);
+            expect(rebuilt.timeBounds).to.be.undefined;
+        });
+
+        it("should fail to remove an operation out of range", function () {
+            let builder = StellarBase.TransactionBuilder.fromTransaction(transaction);
+            expect(() => builder.removeOperation(2)).to.throw(/index is out of range/);
+        });
+    });
+
+    describe("batch", function() {
+        let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+        let source;
+        let payments;
+
+        beforeEach(function() {
+            source = new StellarBase.Account("GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ", "10");
+            payments = [];
+            for (let i = 1; i <= 250; i++) {
+                payments.push(StellarBase.Operation.payment({destination, asset: StellarBase.Asset.native(), amount: i.toString()}));
+            }
+        });
+
+        it("should split operations into transactions with consecutive sequence numbers", function () {
+            let transactions = StellarBase.TransactionBuilder.batch(source, payments, {timeout: StellarBase.TimeoutInfinite, fee: 200});
+
+            expect(transactions.length).to.be.equal(3);
+            expect(map(transactions, tx => tx.sequence)).to.deep.equal(["11", "12", "13"]);
+            expect(map(transactions, tx => tx.operations.length)).to.deep.equal([100, 100, 50]);
+            expect(transactions[2].fee).to.be.equal(50 * 200);
+            expect(transactions[1].operations[0].amount).to.be.equal("101");
+            expect(source.sequenceNumber()).to.be.equal("13");
+        });
+
+        it("should keep grouped operations together", function () {
+            let operations = [payments[0], payments[1], [payments[2], payments[3]], payments[4]];
+            let transactions = StellarBase.TransactionBuilder.batch(source, operations, {maxOperations: 3, timeout: 30});
+
+            expect(map(transactions, tx => map(tx.operations, op => op.amount))).to.deep.equal([["1", "2"], ["3", "4", "5"]]);
+            expect(transactions[0].timeBounds.maxTime).not.to.be.equal("0");
+        });
+
+        it("should fail without changing the account sequence number", function () {
+            expect(() => StellarBase.TransactionBuilder.batch(source, [payments.slice(0, 4)], {maxOperations: 3, timeout: 30}))
+              .to.throw(/operation group cannot contain more than 3 operations/);
+            expect(() => StellarBase.TransactionBuilder.batch(source, payments, {maxOperations: 101}))
+              .to.throw(/maxOperations must be an integer between 1 and 100/);
+
+            let merge = StellarBase.Operation.accountMerge({destination});
+            expect(() => StellarBase.TransactionBuilder.batch(source, [payments[0], merge, payments[1]], {strict: true, timeout: 30}))
+              .to.throw(/is merged by a previous operation/);
+            expect(source.sequenceNumber()).to.be.equal("10");
+        });
+
+        it("should check the fee and time bounds of every transaction before building any", function () {
+            let fee = operations => operations.length < 100 ? 0x100000000 : 100;
+            expect(() => StellarBase.TransactionBuilder.batch(source, payments.slice(0, 150), {fee, timeout: 30}))
+              .to.throw(/fee must not be greater than 4294967295 stroops/);
+            expect(() => StellarBase.TransactionBuilder.batch(source, payments.slice(0, 150)))
+              .to.throw(/TimeBounds has to be set/);
+            expect(source.sequenceNumber()).to.be.equal("10");
+        });
     });
 });
@@ -0,0 +1,139 @@
+describe('TransactionMeta', function() {
+  let xdr         = StellarBase.xdr;
+  let accountId   = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd         = new StellarBase.Asset("USD", destination);
+
+  function xdrAccountId(address) {
+    return StellarBase.Keypair.fromPublicKey(address).xdrAccountId();
+  }
+
+  function accountEntry(balance, seqNum) {
+    let account = new xdr.AccountEntry({
+      accountId: xdrAccountId(accountId),
+      balance: StellarBase.Hyper.fromString(balance),
+      seqNum: xdr.SequenceNumber.fromString(seqNum),
+      numSubEntries: 1,
+      inflationDest: xdrAccountId(destination),
+      flags: 0,
+      homeDomain: "example.com",
+      thresholds: new Buffer([1, 2, 3, 4]),
+      signers: [
+        new xdr.Signer({
+          key: xdr.SignerKey.signerKeyTypeEd25519(StellarBase.StrKey.decodeEd25519PublicKey(destination)),
+          weight: 5
+        })
+      ],
+      ext: new xdr.AccountEntryExt(0)
+    });
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 10,
+      data: xdr.LedgerEntryData.account(account),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  function trustLineEntry(balance) {
+    let trustLine = new xdr.TrustLineEntry({
+      accountId: xdrAccountId(accountId),
+      asset: usd.toXDRObject(),
+      balance: StellarBase.Hyper.fromString(balance),
+      limit: StellarBase.Hyper.fromString("1000000000"),
+      flags: 1,
+      ext: new xdr.TrustLineEntryExt(0)
+    });
+    return new xdr.LedgerEntry({
+      lastModifiedLedgerSeq: 11,
+      data: xdr.LedgerEntryData.trustline(trustLine),
+      ext: new xdr.LedgerEntryExt(0)
+    });
+  }
+
+  function dataKey(name) {
+    return xdr.LedgerKey.datum(new xdr.LedgerKeyData({
+      accountId: xdrAccountId(accountId),
+      dataName: name
+    }));
+  }
+
+  function meta(operations) {
+    let opMetas = operations.map(changes => new xdr.OperationMeta({changes}));
+    return new xdr.TransactionMeta(0, opMetas);
+  }
+
+  it("decodes ledger entry changes from base64", function() {
+    let input = meta([
+      [
+        xdr.LedgerEntryChange.ledgerEntryState(accountEntry("1000000000", "5")),
+        xdr.LedgerEntryChange.ledgerEntryUpdated(accountEntry("900000000", "6"))
+      ],
+      [
+        xdr.LedgerEntryChange.ledgerEntryCreated(trustLineEntry("0")),
+        xdr.LedgerEntryChange.ledgerEntryRemoved(dataKey("config"))
+      ]
+    ]).toXDR('base64');
+
+    let changes = new StellarBase.TransactionMeta(input).changes;
+    expect(changes.length).to.be.equal(3);
+
+    expect(changes[0].operationIndex).to.be.equal(0);
+    expect(changes[0].changeType).to.be.equal("updated");
+    expect(changes[0].entryType).to.be.equal("account");
+    expect(changes[0].key).to.deep.equal({accountId});
+    expect(changes[0].before.balance).to.be.equal("100");
+    expect(changes[0].before.sequence).to.be.equal("5");
+    expect(changes[0].after.balance).to.be.equal("90");
+    expect(changes[0].after.sequence).to.be.equal("6");
+
+    expect(changes[1].operationIndex).to.be.equal(1);
+    expect(changes[1].changeType).to.be.equal("created");
+    expect(changes[1].entryType).to.be.equal("trustline");
+    expect(changes[1].key.accountId).to.be.equal(accountId);
+    expect(changes[1].key.asset.equals(usd)).to.be.true;
+    expect(changes[1].before).to.be.null;
+    expect(changes[1].after.balance).to.be.equal("0");
+
+    expect(changes[2].operationIndex).to.be.equal(1);
+    expect(changes[2].changeType).to.be.equal("removed");
+    expect(changes[2].entryType).to.be.equal("data");
+    expect(changes[2].key).to.deep.equal({accountId, name: "config"});
+    expect(changes[2].before).to.be.null;
+    expect(changes[2].after).to.be.null;
+  });
+
+  it("reports entry states without a following change", function() {
+    let changes = new StellarBase.TransactionMeta(meta([
+      [xdr.LedgerEntryChange.ledgerEntryState(trustLineEntry("10000000"))]
+    ])).changes;
+
+    expect(changes.length).to.be.equal(1);
+    expect(changes[0].changeType).to.be.equal("state");
+    expect(changes[0].before.balance).to.be.equal("1");
+    expect(changes[0].after.balance).to.be.equal("1");
+  });
+
+  it("converts account entries to plain objects", function() {
+    let account = StellarBase.TransactionMeta.fromLedgerEntry(accountEntry("1000000000", "5"));
+    expect(account.accountId).to.be.equal(accountId);
+    expect(account.balance).to.be.equal("100");
+    expect(account.sequence).to.be.equal("5");
+    expect(account.numSubEntries).to.be.equal(1);
+    expect(account.inflationDest).to.be.equal(destination);
+    expect(account.homeDomain).to.be.equal("example.com");
+    expect(account.masterWeight).to.be.equal(1);
+    expect(account.lowThreshold).to.be.equal(2);
+    expect(account.medThreshold).to.be.equal(3);
+    expect(account.highThreshold).to.be.equal(4);
+    expect(account.signers).to.deep.equal([{ed25519PublicKey: destination, weight: 5}]);
+    expect(account.lastModifiedLedgerSeq).to.be.equal(10);
+  });
+
+  it("converts trustline entries to plain objects", function() {
+    let trustLine = StellarBase.TransactionMeta.fromLedgerEntry(trustLineEntry("12345"));
+    expect(trustLine.accountId).to.be.equal(accountId);
+    expect(trustLine.asset.equals(usd)).to.be.true;
+    expect(trustLine.balance).to.be.equal("0.0012345");
+    expect(trustLine.limit).to.be.equal("100");
+    expect(trustLine.flags).to.be.equal(1);
+  });
+});
@@ -0,0 +1,124 @@
+describe('TransactionResult', function() {
+  let xdr         = StellarBase.xdr;
+  let seller      = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd         = new StellarBase.Asset("USD", seller);
+
+  function opResult(type, result) {
+    let tr = xdr.OperationResultTr[type](result);
+    return xdr.OperationResult.opInner(tr);
+  }
+
+  function txResult(code, feeCharged, results) {
+    return new xdr.TransactionResult({
+      feeCharged: StellarBase.Hyper.fromString(feeCharged),
+      result: new xdr.TransactionResultResult(code, results),
+      ext: new xdr.TransactionResultExt(0)
+    });
+  }
+
+  it("decodes a successful transaction from base64", function() {
+    let results = [
+      opResult("payment", new xdr.PaymentResult("paymentSuccess")),
+      opResult("manageDatum", new xdr.ManageDataResult("manageDataSuccess"))
+    ];
+    let input = txResult("txSuccess", "200", results).toXDR('base64');
+
+    let result = new StellarBase.TransactionResult(input);
+    expect(result.feeCharged).to.be.equal("200");
+    expect(result.code).to.be.equal("txSuccess");
+    expect(result.success).to.be.equal(true);
+    expect(result.operations).to.deep.equal([
+      {type: "payment", code: "paymentSuccess", success: true, details: {}},
+      {type: "manageData", code: "manageDataSuccess", success: true, details: {}}
+    ]);
+  });
+
+  it("decodes failed operations", function() {
+    let results = [
+      opResult("payment", new xdr.PaymentResult("paymentUnderfunded")),
+      opResult("setOption", new xdr.SetOptionsResult("setOptionsLowReserve")),
+      new xdr.OperationResult("opBadAuth")
+    ];
+
+    let result = new StellarBase.TransactionResult(txResult("txFailed", "200", results));
+    expect(result.code).to.be.equal("txFailed");
+    expect(result.success).to.be.equal(false);
+    expect(result.operations[0]).to.deep.equal({type: "payment", code: "paymentUnderfunded", success: false, details: {}});
+    expect(result.operations[1]).to.deep.equal({type: "setOptions", code: "setOptionsLowReserve", success: false, details: {}});
+    expect(result.operations[2]).to.deep.equal({type: null, code: "opBadAuth", success: false, details: {}});
+  });
+
+  it("decodes transaction level failures without operation results", function() {
+    let result = new StellarBase.TransactionResult(txResult("txBadSeq", "0"));
+    expect(result.feeCharged).to.be.equal("0");
+    expect(result.code).to.be.equal("txBadSeq");
+    expect(result.success).to.be.equal(false);
+    expect(result.operations).to.deep.equal([]);
+  });
+
+  it("decodes manageOffer success details", function() {
+    let atom = new xdr.ClaimOfferAtom({
+      sellerId: StellarBase.Keypair.fromPublicKey(seller).xdrAccountId(),
+      offerId: StellarBase.UnsignedHyper.fromString("12"),
+      assetSold: usd.toXDRObject(),
+      amountSold: StellarBase.Hyper.fromString("10000000"),
+      assetBought: StellarBase.Asset.native().toXDRObject(),
+      amountBought: StellarBase.Hyper.fromString("25000000")
+    });
+    let offer = new xdr.OfferEntry({
+      sellerId: StellarBase.Keypair.fromPublicKey(destination).xdrAccountId(),
+      offerId: StellarBase.UnsignedHyper.fromString("13"),
+      selling: StellarBase.Asset.native().toXDRObject(),
+      buying: usd.toXDRObject(),
+      amount: StellarBase.Hyper.fromString("50000000"),
+      price: new xdr.Price({n: 2, d: 5}),
+      flags: 0,
+      ext: new xdr.OfferEntryExt(0)
+    });
+    let success = new xdr.ManageOfferSuccessResult({
+      offersClaimed: [atom],
+      offer: xdr.ManageOfferSuccessResultOffer.manageOfferCreated(offer)
+    });
+    let results = [
+      opResult("manageOffer", xdr.ManageOfferResult.manageOfferSuccess(success))
+    ];
+
+    let result = new StellarBase.TransactionResult(txResult("txSuccess", "200", results).toXDR('base64'));
+    let details = result.operations[0].details;
+    expect(result.operations[0].type).to.be.equal("manageOffer");
+    expect(details.effect).to.be.equal("manageOfferCreated");
+    expect(details.offersClaimed.length).to.be.equal(1);
+    expect(details.offersClaimed[0].sellerId).to.be.equal(seller);
+    expect(details.offersClaimed[0].offerId).to.be.equal("12");
+    expect(details.offersClaimed[0].assetSold.equals(usd)).to.be.true;
+    expect(details.offersClaimed[0].amountSold).to.be.equal("1");
+    expect(details.offersClaimed[0].amountBought).to.be.equal("2.5");
+    expect(details.offer.sellerId).to.be.equal(destination);
+    expect(details.offer.offerId).to.be.equal("13");
+    expect(details.offer.amount).to.be.equal("5");
+    expect(details.offer.price).to.be.equal("0.4");
+  });
+
+  it("decodes accountMerge and inflation success details", function() {
+    let payout = new xdr.InflationPayout({
+      destination: StellarBase.Keypair.fromPublicKey(destination).xdrAccountId(),
+      amount: StellarBase.Hyper.fromString("1234567")
+    });
+    let results = [
+      opResult("accountMerge",
+        xdr.AccountMergeResult.accountMergeSuccess(StellarBase.Hyper.fromString("20000000"))),
+      opResult("inflation", xdr.InflationResult.inflationSuccess([payout]))
+    ];
+
+    let result = new StellarBase.TransactionResult(txResult("txSuccess", "200", results).toXDR('base64'));
+    expect(result.operations[0].details).to.deep.equal({sourceAccountBalance: "2"});
+    expect(result.operations[1].details).to.deep.equal({payouts: [{destination, amount: "0.1234567"}]});
+  });
+
+  it("returns the xdr object", function() {
+    let input = txResult("txTooLate", "100");
+    let result = new StellarBase.TransactionResult(input.toXDR('base64'));
+    expect(result.toXDRObject().toXDR('base64')).to.be.equal(input.toXDR('base64'));
+  });
+});
@@ -0,0 +1,276 @@
+describe('TransactionSimulator', function() {
+  let sourceId      = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let destinationId = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let issuerId      = "GC6ACGSA2NJGD6YWUNX2BYBL3VM4MZRSEU2RLIUZZL35NLV5IAHAX2E2";
+  let usd           = new StellarBase.Asset("USD", issuerId);
+  let simulator;
+
+  beforeEach(function() {
+    simulator = new StellarBase.TransactionSimulator([
+      new StellarBase.AccountEntry({accountId: sourceId, balance: "100", sequence: "10"}),
+      new StellarBase.AccountEntry({accountId: destinationId, balance: "10", sequence: "20"}),
+      new StellarBase.AccountEntry({accountId: issuerId, balance: "10", sequence: "30"})
+    ], {closeTime: 1500000000});
+  });
+
+  function buildTransaction(operations, opts = {}) {
+    let builder = new StellarBase.TransactionBuilder(new StellarBase.Account(sourceId, opts.sequence || "10"), opts);
+    operations.forEach(op => builder.addOperation(op));
+    if (!opts.timebounds) {
+      builder.setTimeout(StellarBase.TimeoutInfinite);
+    }
+    return builder.build();
+  }
+
+  function account(accountId) {
+    return simulator.getEntry(StellarBase.LedgerKey.account(accountId));
+  }
+
+  function trustline(accountId, asset) {
+    return simulator.getEntry(StellarBase.LedgerKey.trustline(accountId, asset));
+  }
+
+  it("applies a native payment", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "25"})
+    ]);
+
+    let {result, meta} = simulator.simulate(tx);
+    expect(result.code).to.be.equal("txSuccess");
+    expect(result.feeCharged).to.be.equal("100");
+    expect(result.operations[0]).to.deep.equal({type: "payment", code: "paymentSuccess", success: true, details: {}});
+
+    expect(account(sourceId).balance).to.be.equal("74.99999");
+    expect(account(sourceId).sequence).to.be.equal("11");
+    expect(account(destinationId).balance).to.be.equal("35");
+
+    expect(meta.changes.length).to.be.equal(2);
+    expect(meta.changes[0].changeType).to.be.equal("updated");
+    expect(meta.changes[0].key).to.deep.equal({accountId: sourceId});
+    expect(meta.changes[0].before.balance).to.be.equal("99.99999");
+    expect(meta.changes[0].after.balance).to.be.equal("74.99999");
+    expect(meta.changes[1].key).to.deep.equal({accountId: destinationId});
+    expect(meta.changes[1].after.balance).to.be.equal("35");
+  });
+
+  it("rejects a transaction with a bad sequence number", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "1"})
+    ], {sequence: "11"});
+
+    let {result, meta} = simulator.simulate(tx);
+    expect(result.code).to.be.equal("txBadSeq");
+    expect(result.operations).to.deep.equal([]);
+    expect(meta.changes).to.deep.equal([]);
+    expect(account(sourceId).balance).to.be.equal("100");
+    expect(account(sourceId).sequence).to.be.equal("10");
+  });
+
+  it("rejects a transaction outside of its time bounds", function() {
+    let op = StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "1"});
+    let early = buildTransaction([op], {timebounds: {minTime: "1500000001", maxTime: "1500000100"}});
+    let late = buildTransaction([op], {timebounds: {minTime: "0", maxTime: "1499999999"}});
+
+    expect(simulator.simulate(early).result.code).to.be.equal("txTooEarly");
+    expect(simulator.simulate(late).result.code).to.be.equal("txTooLate");
+  });
+
+  it("rejects a transaction with an insufficient fee", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "1"})
+    ], {fee: 10});
+
+    expect(simulator.simulate(tx).result.code).to.be.equal("txInsufficientFee");
+  });
+
+  it("rejects a transaction from an unknown account", function() {
+    simulator = new StellarBase.TransactionSimulator([]);
+    let tx = buildTransaction([StellarBase.Operation.inflation()]);
+    expect(simulator.simulate(tx).result.code).to.be.equal("txNoAccount");
+  });
+
+  it("fails and rolls back operations but consumes the fee and sequence number", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "10"}),
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "200"})
+    ]);
+
+    let {result, meta} = simulator.simulate(tx);
+    expect(result.code).to.be.equal("txFailed");
+    expect(result.feeCharged).to.be.equal("200");
+    expect(result.operations[0].code).to.be.equal("paymentSuccess");
+    expect(result.operations[1].code).to.be.equal("paymentUnderfunded");
+    expect(meta.changes).to.deep.equal([]);
+    expect(account(sourceId).balance).to.be.equal("99.99998");
+    expect(account(sourceId).sequence).to.be.equal("11");
+    expect(account(destinationId).balance).to.be.equal("10");
+  });
+
+  it("reports missing and unauthorized trustlines", function() {
+    let payment = StellarBase.Operation.payment({destination: destinationId, asset: usd, amount: "1", source: issuerId});
+    let tx = buildTransaction([payment]);
+    expect(simulator.simulate(tx).result.operations[0].code).to.be.equal("paymentNoTrust");
+
+    simulator.addEntry(new StellarBase.TrustLineEntry({
+      accountId: destinationId, asset: usd, balance: "0", limit: "100", flags: {authorized: false}
+    }));
+    tx = buildTransaction([payment], {sequence: "11"});
+    expect(simulator.simulate(tx).result.operations[0].code).to.be.equal("paymentNotAuthorized");
+  });
+
+  it("reports an unknown operation source account", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.inflation({source: "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7"})
+    ]);
+    let {result} = simulator.simulate(tx);
+    expect(result.code).to.be.equal("txFailed");
+    expect(result.operations[0]).to.deep.equal({type: null, code: "opNoAccount", success: false, details: {}});
+  });
+
+  it("creates trustlines and moves credit between accounts", function() {
+    let tx = buildTransaction([
+      StellarBase.Operation.changeTrust({asset: usd, limit: "1000"}),
+      StellarBase.Operation.changeTrust({asset: usd, source: destinationId}),
+      StellarBase.Operation.payment({destination: sourceId, asset: usd, amount: "50", source: issuerId}),
+      StellarBase.Operation.payment({destination: destinationId, asset: usd, amount: "20"})
+    ]);
+
+    let {result, meta} = simulator.simulate(tx);
+    expect(result.code).to.be.equal("txSuccess");
+    expect(trustline(sourceId, usd).balance).to.be.equal("30");
+    expect(trustline(sourceId, usd).limit).to.be.equal("1000");
+    expect(trustline(destinationId, usd).balance).to.be.equal("20");
+    expect(account(sourceId).numSubEntries).to.be.equal(1);
+
+    let created = meta.changes.filter(change => change.changeType == "created");
+    expect(created.length).to.be.equal(2);
+    expect(created[0].entryType).to.be.equal("trustline");
+    expect(created[0].operationIndex).to.be.equal(0);
+  });
+
+  it("reports low reserve for new trustlines", function() {
+    simulator.addEntry(new StellarBase.AccountEntry({accountId: sourceId, balance: "1.5", sequence: "10"}));
+    let tx = buildTransaction([StellarBase.Operation.changeTrust({asset: usd})]);
+    expect(simulator.simulate(tx).result.operations[0].code).to.be.equal("changeTrustLowReserve");
+  });
+
+  it("creates accounts", function() {
+    let newAccountId = "GDGU5OAPHNPU5UCLE5RDJHG7PXZFQYWKCFOEXSXNMR6KRQRI5T6XXCD7";
+    simulator.ledgerSequence = 3;
+    let tx = buildTransaction([
+      StellarBase.Operation.createAccount({destination: newAccountId, startingBalance: "20"}),
+      StellarBase.Operation.createAccount({destination: destinationId, startingBalance: "20"})
+    ]);
+
+    let {result} = simulator.simulate(tx);
+    expect(result.operations[0].code).to.be.equal("createAccountSuccess");
+    expect(result.operations[1].code).to.be.equal("createAccountAlreadyExist");
+    expect(account(newAccountId)).to.be.undefined;
+
+    tx = buildTransaction([
+      StellarBase.Operation.createAccount({destination: newAccountId, startingBalance: "20"})
+    ], {sequence: "11"});
+    expect(simulator.simulate(tx).result.code).to.be.equal("txSuccess");
+    expect(account(newAccountId).balance).to.be.equal("20");
+    expect(account(newAccountId).sequence).to.be.equal("12884901888");
+  });
+
+  it("creates, updates and deletes offers", function() {
+    simulator.addEntry(new StellarBase.TrustLineEntry({
+      accountId: sourceId, asset: usd, balance: "10", limit: "100", flags: {authorized: true}
+    }));
+
+    let tx = buildTransaction([
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "10", price: "2"})
+    ]);
+    let {result} = simulator.simulate(tx);
+    let details = result.operations[0].details;
+    expect(result.code).to.be.equal("txSuccess");
+    expect(details.effect).to.be.equal("manageOfferCreated");
+    expect(details.offer.offerId).to.be.equal("1");
+    expect(account(sourceId).numSubEntries).to.be.equal(1);
+
+    tx = buildTransaction([
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "5", price: "3", offerId: "1"}),
+      StellarBase.Operation.manageOffer({selling: usd, buying: StellarBase.Asset.native(), amount: "1", price: "0.25"})
+    ], {sequence: "11"});
+    result = simulator.simulate(tx).result;
+    expect(result.operations[0].details.effect).to.be.equal("manageOfferUpdated");
+    expect(result.operations[1].code).to.be.equal("manageOfferCrossSelf");
+
+    tx = buildTransaction([
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "0", price: "3", offerId: "1"}),
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "0", price: "3", offerId: "1"})
+    ], {sequence: "12"});
+    result = simulator.simulate(tx).result;
+    expect(result.operations[0].details.effect).to.be.equal("manageOfferDeleted");
+    expect(result.operations[1].code).to.be.equal("manageOfferNotFound");
+  });
+
+  it("rolls back offer IDs with a failed transaction", function() {
+    simulator.addEntry(new StellarBase.TrustLineEntry({
+      accountId: sourceId, asset: usd, balance: "10", limit: "100", flags: {authorized: true}
+    }));
+
+    let tx = buildTransaction([
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "10", price: "2"}),
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "200"})
+    ]);
+    expect(simulator.simulate(tx).result.code).to.be.equal("txFailed");
+    expect(simulator.idPool).to.be.equal("0");
+
+    tx = buildTransaction([
+      StellarBase.Operation.manageOffer({selling: StellarBase.Asset.native(), buying: usd, amount: "10", price: "2"})
+    ], {sequence: "11"});
+    let {result} = simulator.simulate(tx);
+    expect(result.operations[0].details.offer.offerId).to.be.equal("1");
+    expect(simulator.idPool).to.be.equal("1");
+  });
+
+  it("manages data entries and signers", function() {
+    let signer = {ed25519PublicKey: destinationId, weight: 1};
+    let tx = buildTransaction([
+      StellarBase.Operation.manageData({name: "config", value: "1"}),
+      StellarBase.Operation.setOptions({signer, homeDomain: "example.com", setFlags: StellarBase.AuthRequiredFlag})
+    ]);
+    expect(simulator.simulate(tx).result.code).to.be.equal("txSuccess");
+
+    let source = account(sourceId);
+    expect(source.numSubEntries).to.be.equal(2);
+    expect(source.signers).to.deep.equal([signer]);
+    expect(source.homeDomain).to.be.equal("example.com");
+    expect(source.flags.authRequired).to.be.true;
+    expect(simulator.getEntry(StellarBase.LedgerKey.data(sourceId, "config")).value.toString()).to.be.equal("1");
+
+    tx = buildTransaction([
+      StellarBase.Operation.manageData({name: "missing", value: null}),
+      StellarBase.Operation.accountMerge({destination: destinationId})
+    ], {sequence: "11"});
+    let {result} = simulator.simulate(tx);
+    expect(result.operations[0].code).to.be.equal("manageDataNameNotFound");
+    expect(result.operations[1].code).to.be.equal("accountMergeHasSubEntry");
+  });
+
+  it("merges accounts", function() {
+    let tx = buildTransaction([StellarBase.Operation.accountMerge({destination: destinationId})]);
+    let {result, meta} = simulator.simulate(tx);
+    expect(result.operations[0].details).to.deep.equal({sourceAccountBalance: "99.99999"});
+    expect(account(sourceId)).to.be.undefined;
+    expect(account(destinationId).balance).to.be.equal("109.99999");
+    expect(meta.changes[0].changeType).to.be.equal("updated");
+    expect(meta.changes[1].changeType).to.be.equal("removed");
+    expect(meta.changes[1].before.balance).to.be.equal("99.99999");
+  });
+
+  it("does not simulate inflation", function() {
+    let tx = buildTransaction([StellarBase.Operation.inflation()]);
+    expect(() => simulator.simulate(tx)).to.throw(/inflation operation can not be simulated/);
+    expect(account(sourceId).balance).to.be.equal("100");
+    expect(account(sourceId).sequence).to.be.equal("10");
+
+    let payment = buildTransaction([
+      StellarBase.Operation.payment({destination: destinationId, asset: StellarBase.Asset.native(), amount: "1"})
+    ]);
+    expect(simulator.simulate(payment).result.code).to.be.equal("txSuccess");
+  });
+});
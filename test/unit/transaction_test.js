@@ -11,6 +11,7 @@ describe('Transaction', function() {
     let input = new StellarBase.TransactionBuilder(source)
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
                 .addMemo(StellarBase.Memo.text('Happy birthday!'))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build()
                 .toEnvelope()
                 .toXDR('base64');
@@ -48,6 +49,7 @@ describe('Transaction', function() {
 
     let tx = new StellarBase.TransactionBuilder(source)
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build();
     expect(() => tx.sign(signer)).to.throw(/No network selected/);
   });
@@ -61,6 +63,7 @@ describe('Transaction', function() {
 
     let tx = new StellarBase.TransactionBuilder(source)
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build();
     tx.sign(signer);
 
@@ -71,6 +74,33 @@ describe('Transaction', function() {
     expect(verified).to.equal(true);
   });
 
+  it("signs with its own network passphrase instead of the current network", function() {
+    let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
+    let signer      = StellarBase.Keypair.random();
+    let envelope    = new StellarBase.TransactionBuilder(source)
+                .addOperation(StellarBase.Operation.inflation())
+                .setTimeout(StellarBase.TimeoutInfinite)
+                .build()
+                .toEnvelope();
+
+    let pubnetTx  = new StellarBase.Transaction(envelope, StellarBase.Networks.PUBLIC);
+    let testnetTx = new StellarBase.Transaction(envelope);
+    expect(pubnetTx.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+    expect(pubnetTx.hash().equals(testnetTx.hash())).to.be.false;
+
+    StellarBase.Network.usePublicNetwork();
+    expect(pubnetTx.hash().equals(testnetTx.hash())).to.be.true;
+
+    StellarBase.Network.use(null);
+    pubnetTx.sign(signer);
+    let expected = StellarBase.hash(Buffer.concat([
+      StellarBase.hash(StellarBase.Networks.PUBLIC),
+      StellarBase.xdr.EnvelopeType.envelopeTypeTx().toXDR(),
+      pubnetTx.tx.toXDR()
+    ]));
+    expect(signer.verify(expected, pubnetTx.signatures[0].signature())).to.be.true;
+  });
+
   it("signs using hash preimage", function() {
     let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
     let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
@@ -82,6 +112,7 @@ describe('Transaction', function() {
 
     let tx = new StellarBase.TransactionBuilder(source)
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build();
     tx.signHashX(preimage);
 
@@ -101,11 +132,196 @@ describe('Transaction', function() {
 
     let tx = new StellarBase.TransactionBuilder(source)
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build();
 
     expect(() => tx.signHashX(preimage)).to.throw(/preimage cannnot be longer than 64 bytes/);
   });
 
+  describe("#signWith()", function() {
+    let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
+    let tx;
+
+    // a signer keeping its key out of process, like a remote signing service
+    function remoteSigner(keypair, delay) {
+      return {
+        publicKey: () => keypair.publicKey(),
+        sign: hash => new Promise(resolve => setTimeout(() => resolve(keypair.sign(hash)), delay))
+      };
+    }
+
+    beforeEach(function() {
+      tx = new StellarBase.TransactionBuilder(source, {networkPassphrase: StellarBase.Networks.TESTNET})
+            .addOperation(StellarBase.Operation.inflation())
+            .setTimeout(StellarBase.TimeoutInfinite)
+            .build();
+    });
+
+    it("adds the signatures of external signers in order", function(done) {
+      let first  = StellarBase.Keypair.random();
+      let second = StellarBase.Keypair.random();
+      let local  = StellarBase.Keypair.random();
+
+      tx.signWith(remoteSigner(first, 10), remoteSigner(second, 0), local)
+        .then(signed => {
+          expect(signed).to.be.equal(tx);
+          expect(tx.signatures.length).to.be.equal(3);
+          expect(tx.signatures[0].hint()).to.deep.equal(first.signatureHint());
+          expect(tx.signatures[1].hint()).to.deep.equal(second.signatureHint());
+          expect(tx.signatures[2].signature()).to.deep.equal(local.signDecorated(tx.hash()).signature());
+          expect(tx.verifySignatures([first, second, local]).valid.length).to.be.equal(3);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("refuses an invalid signature", function(done) {
+      let keypair = StellarBase.Keypair.random();
+      let liar = {
+        publicKey: () => keypair.publicKey(),
+        sign: hash => StellarBase.Keypair.random().sign(hash)
+      };
+
+      tx.signWith(remoteSigner(StellarBase.Keypair.random(), 0), liar)
+        .then(() => done(new Error("should have failed")), error => {
+          expect(error.message).to.be.equal(`Invalid signature from signer ${keypair.publicKey()}`);
+          expect(tx.signatures).to.be.empty;
+          done();
+        })
+        .catch(done);
+    });
+
+    it("refuses an object which is not a signer", function(done) {
+      tx.signWith({publicKey: () => "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB"})
+        .then(() => done(new Error("should have failed")), error => {
+          expect(error.message).to.match(/signer must have publicKey\(\) and sign\(hash\) methods/);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("fails when the signer fails", function(done) {
+      let hsm = {publicKey: () => StellarBase.Keypair.random().publicKey(), sign: () => Promise.reject(new Error("HSM is locked"))};
+      tx.signWith(hsm)
+        .then(() => done(new Error("should have failed")), error => {
+          expect(error.message).to.be.equal("HSM is locked");
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe("#verifySignatures()", function() {
+    let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
+    let tx;
+
+    beforeEach(function() {
+      tx = new StellarBase.TransactionBuilder(source)
+            .addOperation(StellarBase.Operation.inflation())
+            .setTimeout(StellarBase.TimeoutInfinite)
+            .build();
+    });
+
+    it("reports valid, invalid and unmatched signatures", function() {
+      let signer  = StellarBase.Keypair.random();
+      let forger  = StellarBase.Keypair.random();
+      let unknown = StellarBase.Keypair.random();
+      tx.sign(signer, unknown);
+
+      let forged = forger.signDecorated(tx.hash());
+      forged.hint(signer.signatureHint());
+      tx.signatures.push(forged);
+
+      let result = tx.verifySignatures([signer.publicKey()]);
+      expect(result.valid.length).to.be.equal(1);
+      expect(result.valid[0].signature).to.be.equal(tx.signatures[0]);
+      expect(result.valid[0].signer).to.deep.equal({ed25519PublicKey: signer.publicKey()});
+      expect(result.invalid.length).to.be.equal(1);
+      expect(result.invalid[0].signature).to.be.equal(forged);
+      expect(result.unmatched).to.deep.equal([tx.signatures[1]]);
+    });
+
+    it("accepts keypairs and signer objects", function() {
+      let signer = StellarBase.Keypair.random();
+      tx.sign(signer);
+
+      expect(tx.verifySignatures([signer]).valid.length).to.be.equal(1);
+      expect(tx.verifySignatures([{ed25519PublicKey: signer.publicKey()}]).valid.length).to.be.equal(1);
+    });
+
+    it("verifies hashX preimages", function() {
+      let preimage = crypto.randomBytes(64);
+      let hash = crypto.createHash('sha256').update(preimage).digest();
+      tx.signHashX(preimage);
+      tx.signHashX(crypto.randomBytes(64));
+
+      let result = tx.verifySignatures([StellarBase.StrKey.encodeSha256Hash(hash)]);
+      expect(result.valid.length).to.be.equal(1);
+      expect(result.valid[0].signer.sha256Hash.equals(hash)).to.be.true;
+      expect(result.unmatched.length).to.be.equal(1);
+
+      result = tx.verifySignatures([{sha256Hash: crypto.randomBytes(32)}]);
+      expect(result.valid).to.be.empty;
+    });
+
+    it("fails with an invalid candidate signer", function() {
+      expect(() => tx.verifySignatures([{weight: 1}])).to.throw(/Signer must be/);
+    });
+  });
+
+  describe("serialization", function() {
+    let source = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
+    let tx;
+
+    beforeEach(function() {
+      tx = new StellarBase.TransactionBuilder(source, {networkPassphrase: StellarBase.Networks.PUBLIC})
+            .addOperation(StellarBase.Operation.inflation())
+            .addMemo(StellarBase.Memo.text('Happy birthday!'))
+            .setTimeout(StellarBase.TimeoutInfinite)
+            .build();
+      tx.sign(StellarBase.Keypair.random());
+    });
+
+    it("round trips through toXDR and fromXDR", function() {
+      let base64 = tx.toXDR();
+      expect(base64).to.be.equal(tx.toEnvelope().toXDR('base64'));
+
+      let parsed = StellarBase.Transaction.fromXDR(base64, StellarBase.Networks.PUBLIC);
+      expect(parsed.equals(tx)).to.be.true;
+      expect(parsed.hash().equals(tx.hash())).to.be.true;
+      expect(StellarBase.Transaction.fromXDR(tx.toXDR('raw')).equals(tx)).to.be.true;
+      expect(StellarBase.Transaction.fromXDR(tx.toEnvelope()).equals(tx)).to.be.true;
+    });
+
+    it("round trips through JSON", function() {
+      let json = JSON.stringify(tx);
+      expect(JSON.parse(json)).to.deep.equal({envelope: tx.toXDR(), networkPassphrase: StellarBase.Networks.PUBLIC});
+
+      let parsed = StellarBase.Transaction.fromJSON(json);
+      expect(parsed.equals(tx)).to.be.true;
+      expect(parsed.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+    });
+
+    it("compares envelopes including signatures", function() {
+      let copy = StellarBase.Transaction.fromXDR(tx.toXDR());
+      expect(copy.equals(tx)).to.be.true;
+
+      copy.sign(StellarBase.Keypair.random());
+      expect(copy.equals(tx)).to.be.false;
+      expect(tx.equals(null)).to.be.false;
+    });
+
+    it("fills the builder blob", function() {
+      let builder = new StellarBase.TransactionBuilder(source)
+                      .addOperation(StellarBase.Operation.inflation())
+                      .setTimeout(StellarBase.TimeoutInfinite);
+      expect(builder.blob).to.be.null;
+
+      let built = builder.build();
+      expect(builder.blob).to.be.equal(built.toXDR());
+    });
+  });
+
   it("accepts 0 as a valid transaction fee", function(done) {
     let source      = new StellarBase.Account("GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB", "0");
     let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
@@ -116,6 +332,7 @@ describe('Transaction', function() {
     let input = new StellarBase.TransactionBuilder(source, {fee: 0})
                 .addOperation(StellarBase.Operation.payment({destination, asset, amount}))
                 .addMemo(StellarBase.Memo.text('Happy birthday!'))
+                .setTimeout(StellarBase.TimeoutInfinite)
                 .build()
                 .toEnvelope()
                 .toXDR('base64');
@@ -0,0 +1,97 @@
+describe('TxRep', function() {
+  let source      = "GBBM6BKZPEHWYO3E3YKREDPQXMS4VK35YLNU7NFBRI26RAN7GI5POFBB";
+  let destination = "GDJJRRMBK4IWLEPJGIE6SXD2LP7REGZODU7WDC3I2D6MR37F4XSHBKX2";
+  let usd         = new StellarBase.Asset("USD", destination);
+  let eur12       = new StellarBase.Asset("EURODOLLAR", destination);
+  let preAuthTx   = "a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2";
+
+  beforeEach(function() {
+    StellarBase.Network.useTestNetwork();
+  });
+
+  afterEach(function() {
+    StellarBase.Network.use(null);
+  });
+
+  function buildTx(opts = {}) {
+    let Operation = StellarBase.Operation;
+    let builder = new StellarBase.TransactionBuilder(new StellarBase.Account(source, "41"), opts)
+      .addOperation(Operation.createAccount({destination, startingBalance: "20.5"}))
+      .addOperation(Operation.payment({destination, asset: usd, amount: "0.0000001", source: destination}))
+      .addOperation(Operation.pathPayment({sendAsset: StellarBase.Asset.native(), sendMax: "10", destination, destAsset: eur12, destAmount: "1", path: [usd]}))
+      .addOperation(Operation.manageOffer({selling: usd, buying: eur12, amount: "3", price: {n: 1, d: 3}, offerId: "7"}))
+      .addOperation(Operation.createPassiveOffer({selling: usd, buying: StellarBase.Asset.native(), amount: "3", price: "2.5"}))
+      .addOperation(Operation.setOptions({inflationDest: destination, setFlags: 1, masterWeight: 0, homeDomain: "stellar.org", signer: {preAuthTx, weight: 2}}))
+      .addOperation(Operation.setOptions({clearFlags: 2, lowThreshold: 1, signer: {ed25519PublicKey: destination, weight: 0}}))
+      .addOperation(Operation.changeTrust({asset: usd, limit: "100"}))
+      .addOperation(Operation.allowTrust({trustor: destination, assetCode: "EURODOLLAR", authorize: true}))
+      .addOperation(Operation.accountMerge({destination}))
+      .addOperation(Operation.inflation())
+      .addOperation(Operation.manageData({name: "config", value: new Buffer([0, 1, 255])}))
+      .addOperation(Operation.manageData({name: "removed", value: null}));
+    if (!opts.timebounds) {
+      builder.setTimeout(StellarBase.TimeoutInfinite);
+    }
+    return builder.build();
+  }
+
+  it("converts a transaction to a readable representation", function() {
+    let tx = buildTx({memo: StellarBase.Memo.text("Happy birthday!"), timebounds: {minTime: 0, maxTime: 1455297545}});
+    tx.sign(StellarBase.Keypair.master());
+
+    let txrep = StellarBase.TxRep.fromTransaction(tx);
+    expect(txrep.source).to.be.equal(source);
+    expect(txrep.fee).to.be.equal(1300);
+    expect(txrep.sequence).to.be.equal("42");
+    expect(txrep.timeBounds).to.deep.equal({minTime: "0", maxTime: "1455297545"});
+    expect(txrep.memo).to.deep.equal({type: "text", value: "Happy birthday!"});
+    expect(txrep.operations[1]).to.deep.equal({type: "payment", source: destination, destination, asset: `USD:${destination}`, amount: "0.0000001"});
+    expect(txrep.operations[2].path).to.deep.equal([`USD:${destination}`]);
+    expect(txrep.operations[3].price).to.deep.equal({n: 1, d: 3});
+    expect(txrep.operations[5].signer).to.deep.equal({preAuthTx, weight: 2});
+    expect(txrep.operations[5].masterWeight).to.be.equal(0);
+    expect(txrep.operations[6]).not.to.have.property("masterWeight");
+    expect(txrep.operations[11].value).to.be.equal("0001ff");
+    expect(txrep.operations[12]).to.deep.equal({type: "manageData", name: "removed"});
+    expect(txrep.signatures[0].hint).to.be.equal(StellarBase.Keypair.master().signatureHint().toString("hex"));
+  });
+
+  it("parses the representation back to a byte-identical envelope", function() {
+    let memos = [
+      StellarBase.Memo.none(),
+      StellarBase.Memo.id("18446744073709551615"),
+      StellarBase.Memo.hash(preAuthTx),
+      StellarBase.Memo.return(preAuthTx)
+    ];
+
+    memos.forEach(memo => {
+      let tx = buildTx({memo, timebounds: {minTime: 1, maxTime: 2}});
+      tx.sign(StellarBase.Keypair.master());
+
+      let text = StellarBase.TxRep.stringify(tx);
+      let parsed = StellarBase.TxRep.toTransaction(text);
+      expect(parsed.toXDR()).to.be.equal(tx.toXDR());
+    });
+  });
+
+  it("parses an edited representation", function() {
+    let txrep = StellarBase.TxRep.fromTransaction(buildTx());
+    txrep.operations = [{type: "payment", destination, asset: "native", amount: "5"}];
+    txrep.fee = 100;
+
+    let tx = StellarBase.TxRep.toTransaction(txrep, StellarBase.Networks.PUBLIC);
+    expect(tx.networkPassphrase).to.be.equal(StellarBase.Networks.PUBLIC);
+    expect(tx.operations.length).to.be.equal(1);
+    expect(tx.operations[0].amount).to.be.equal("5");
+    expect(tx.memo.type).to.be.equal(StellarBase.MemoNone);
+  });
+
+  it("fails to parse an unknown operation or asset", function() {
+    let txrep = StellarBase.TxRep.fromTransaction(buildTx());
+    txrep.operations = [{type: "fromXDRObject"}];
+    expect(() => StellarBase.TxRep.toTransaction(txrep)).to.throw(/Unknown operation type: fromXDRObject/);
+
+    txrep.operations = [{type: "payment", destination, asset: "USD", amount: "5"}];
+    expect(() => StellarBase.TxRep.toTransaction(txrep)).to.throw(/Invalid asset: USD/);
+  });
+});